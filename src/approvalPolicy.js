@@ -0,0 +1,54 @@
+// Approval policies decide when reviews of a submission complete a task:
+// { approvals, roles, anyCanBlock }. The task is completed once `approvals`
+// different reviewers approved the current submission, including one with
+// each role in `roles`. With anyCanBlock a single needs_revision review
+// sends it back; without it only reviewers with a required role can.
+
+export const DEFAULT_APPROVAL_POLICY = { approvals: 1, roles: [], anyCanBlock: true };
+
+// Throws on a malformed policy; knownRoles are the role names from roles.json
+export function normalizeApprovalPolicy(policy, knownRoles = null) {
+  const { approvals = 1, roles = [], anyCanBlock = true } = policy || {};
+
+  if (!Number.isInteger(approvals) || approvals < 1) {
+    throw new Error(`approvals must be a whole number of at least 1 (got ${approvals})`);
+  }
+  if (!Array.isArray(roles)) {
+    throw new Error('roles must be a list of role names');
+  }
+  const unknown = knownRoles ? roles.filter(role => !knownRoles.includes(role)) : [];
+  if (unknown.length > 0) {
+    throw new Error(`Unknown roles in approval policy: ${unknown.join(', ')} (expected any of: ${knownRoles.join(', ')})`);
+  }
+
+  return { approvals: Math.max(approvals, roles.length), roles, anyCanBlock: Boolean(anyCanBlock) };
+}
+
+// Only the latest review from each reviewer of the current submission counts,
+// and with a stage name only reviews posted in that workflow stage
+export function evaluateApproval(task, policy = DEFAULT_APPROVAL_POLICY, stage = null) {
+  const submission = task.submissions?.length || 0;
+  const latest = new Map();
+  for (const review of task.reviews || []) {
+    if (review.submission === submission && (!stage || !review.stage || review.stage === stage)) {
+      latest.set(review.reviewedBy || 'system', review);
+    }
+  }
+
+  const reviews = [...latest.values()];
+  const approvals = reviews.filter(review => review.status === 'approved');
+  const objections = reviews.filter(review => review.status === 'needs_revision');
+  const blockedBy = objections.filter(review => policy.anyCanBlock || policy.roles.includes(review.reviewerRole));
+  const missingRoles = policy.roles.filter(role => !approvals.some(review => review.reviewerRole === role));
+
+  const describe = review => ({ reviewer: review.reviewedBy || 'system', role: review.reviewerRole || null });
+  return {
+    policy,
+    approvedBy: approvals.map(describe),
+    objections: objections.map(describe),
+    blocked: blockedBy.length > 0,
+    missingRoles,
+    approvalsNeeded: Math.max(0, policy.approvals - approvals.length),
+    satisfied: blockedBy.length === 0 && approvals.length >= policy.approvals && missingRoles.length === 0,
+  };
+}
@@ -1,5 +1,27 @@
 import { EventEmitter } from 'events';
 
+// TaskQueue events that can change an agent's pending work
+const WORK_EVENTS = [
+  'taskCreated',
+  'taskSubmitted',
+  'reviewPosted',
+  'taskVerified',
+  'taskCompleted',
+  'taskStatusChanged',
+  'taskUpdated',
+  'threadUpdated',
+  'questionAsked',
+  'questionAnswered',
+];
+
+// Pending task statuses worth waking a waiting agent for
+const WORK_CHANGES = {
+  available: 'task_available',
+  needs_revision: 'revision_requested',
+  in_review: 'submission_in_review',
+  in_verification: 'verification_requested',
+};
+
 export class AutonomousEngine extends EventEmitter {
   constructor(taskQueue, missionManager, roleManager) {
     super();
@@ -9,6 +31,10 @@ export class AutonomousEngine extends EventEmitter {
     this.activeWorkflows = new Map();
     this.pollingInterval = 5000; // 5 seconds
     this.isRunning = false;
+    // Agents blocked in waitForWork share one set of TaskQueue listeners
+    this.waiters = new Set();
+    const wake = () => [...this.waiters].forEach(waiter => waiter());
+    WORK_EVENTS.forEach(event => this.taskQueue.on(event, wake));
   }
 
   async startMission(missionData, agentName) {
@@ -74,14 +100,15 @@ export class AutonomousEngine extends EventEmitter {
     setTimeout(() => this.startWorkCycle(missionId), this.pollingInterval);
   }
 
-  async getWorkForAgent(agentName) {
+  // readOnly reads the tasks without writing back expired leases, for polls
+  async getWorkForAgent(agentName, { readOnly = false } = {}) {
     const role = this.roleManager.getRoleByAgent(agentName);
     if (!role) {
       return { tasks: [], missions: [] };
     }
 
-    // Get pending tasks for this role
-    const pendingTasks = await this.taskQueue.getPendingTasks(role.name.toLowerCase());
+    // Get pending tasks for this role (keyed by role ID, e.g. 'developer')
+    const pendingTasks = await this.taskQueue.getPendingTasks(this.roleManager.getAgentRole(agentName), agentName, { readOnly });
 
     // Get active missions for this role
     const activeMissions = await this.missionManager.getActiveMissions(role.name);
@@ -103,6 +130,80 @@ export class AutonomousEngine extends EventEmitter {
     };
   }
 
+  // Resolves as soon as the agent's work differs from what it was when the
+  // wait started, or with no changes once timeoutMs has passed. TaskQueue
+  // events wake it immediately; polling catches changes made by other server
+  // processes sharing the data directory; polls only read the tasks.
+  async waitForWork(agentName, timeoutMs) {
+    const baseline = this.snapshotWork(await this.getWorkForAgent(agentName, { readOnly: true }));
+    const deadline = Date.now() + timeoutMs;
+
+    let work;
+    do {
+      await this.waitForTaskEvent(Math.min(deadline - Date.now(), this.pollingInterval));
+      work = await this.getWorkForAgent(agentName, { readOnly: true });
+
+      const changes = [];
+      for (const [key, item] of this.snapshotWork(work)) {
+        if (baseline.get(key)?.change !== item.change) {
+          changes.push(item);
+        }
+      }
+      if (changes.length > 0) {
+        return { changes, work, timedOut: false };
+      }
+    } while (Date.now() < deadline);
+
+    return { changes: [], work, timedOut: true };
+  }
+
+  waitForTaskEvent(timeoutMs) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.waiters.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, Math.max(timeoutMs, 0));
+      this.waiters.add(done);
+    });
+  }
+
+  snapshotWork(work) {
+    const items = new Map();
+
+    for (const item of work.tasks) {
+      if (item.type === 'questions') {
+        for (const question of item.questions) {
+          items.set(`question:${question.questionId}`, {
+            change: 'question_asked',
+            taskId: item.taskId,
+            title: item.title,
+            questionId: question.questionId,
+            question: question.question,
+          });
+        }
+      } else if (WORK_CHANGES[item.status]) {
+        items.set(`task:${item.taskId}`, {
+          change: WORK_CHANGES[item.status],
+          taskId: item.taskId,
+          title: item.title,
+          status: item.status,
+        });
+      }
+    }
+
+    for (const mission of work.missions) {
+      items.set(`mission:${mission.id}`, {
+        change: 'mission_active',
+        missionId: mission.id,
+        title: mission.title,
+      });
+    }
+
+    return items;
+  }
+
   async processAutonomousAction(agentName, action) {
     const result = {
       action: action.type,
@@ -144,7 +245,8 @@ export class AutonomousEngine extends EventEmitter {
           // CTO reviews submission
           await this.taskQueue.addReview({
             ...action.review,
-            reviewedBy: agentName
+            reviewedBy: agentName,
+            reviewerRole: this.roleManager.getAgentRole(agentName)
           });
           
           if (action.review.status === 'approved' && action.missionId) {
@@ -0,0 +1,13 @@
+// Reads `--name value` or `--name=value` from the command line
+export function parseArg(argv, name) {
+  const flag = `--${name}`;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag) {
+      return argv[i + 1] || null;
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].slice(flag.length + 1);
+    }
+  }
+  return null;
+}
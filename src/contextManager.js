@@ -1,88 +1,79 @@
-import { promises as fs } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const CONTEXT_DIR = path.join(DATA_DIR, 'context');
+import { writeFileAtomic } from './storage/index.js';
 
 export class ContextManager {
-  constructor(projectState, taskQueue, missionManager, ticketManager) {
+  constructor(projectState, taskQueue, missionManager, ticketManager, storage) {
     this.projectState = projectState;
     this.taskQueue = taskQueue;
     this.missionManager = missionManager;
     this.ticketManager = ticketManager;
-    this.contextFile = path.join(CONTEXT_DIR, 'project-context.json');
-    this.handoffFile = path.join(CONTEXT_DIR, 'handoff-document.md');
+    this.handoffFile = path.join(storage.dataDir, 'context', 'handoff-document.md');
+    this.store = storage.open('context', () => ({
+      project: {
+        name: '',
+        description: '',
+        startDate: new Date().toISOString(),
+        lastUpdated: new Date().toISOString()
+      },
+      currentState: {
+        activeMissions: [],
+        inProgressTasks: [],
+        recentDecisions: [],
+        blockers: []
+      },
+      keyInformation: {
+        architecture: {},
+        conventions: {},
+        dependencies: {},
+        criticalPaths: []
+      },
+      history: []
+    }));
     this.initializeContextDir();
   }
 
   async initializeContextDir() {
     try {
-      await fs.mkdir(CONTEXT_DIR, { recursive: true });
-      
       // Initialize context file if it doesn't exist
-      try {
-        await fs.access(this.contextFile);
-      } catch {
-        await this.saveContext({
-          project: {
-            name: '',
-            description: '',
-            startDate: new Date().toISOString(),
-            lastUpdated: new Date().toISOString()
-          },
-          currentState: {
-            activeMissions: [],
-            inProgressTasks: [],
-            recentDecisions: [],
-            blockers: []
-          },
-          keyInformation: {
-            architecture: {},
-            conventions: {},
-            dependencies: {},
-            criticalPaths: []
-          },
-          history: []
-        });
-      }
+      await this.store.ensure();
     } catch (error) {
       console.error('Failed to initialize context directory:', error);
     }
   }
 
   async loadContext() {
-    try {
-      const data = await fs.readFile(this.contextFile, 'utf8');
-      return JSON.parse(data);
-    } catch {
-      return null;
-    }
+    return await this.store.read();
   }
 
   async saveContext(context) {
     context.lastUpdated = new Date().toISOString();
-    await fs.writeFile(this.contextFile, JSON.stringify(context, null, 2));
+    await this.store.write(context);
   }
 
-  async updateProjectContext(updates) {
-    const context = await this.loadContext() || {};
-    
-    // Deep merge updates
-    if (updates.project) {
-      context.project = { ...context.project, ...updates.project };
-    }
-    
-    if (updates.currentState) {
-      context.currentState = { ...context.currentState, ...updates.currentState };
-    }
-    
-    if (updates.keyInformation) {
-      context.keyInformation = { ...context.keyInformation, ...updates.keyInformation };
-    }
+  // Run a load-mutate-commit cycle against the context store under its lock
+  async updateContext(mutator) {
+    return await this.store.transaction(async (context) => {
+      const result = await mutator(context);
+      context.lastUpdated = new Date().toISOString();
+      return result;
+    });
+  }
 
-    await this.saveContext(context);
+  async updateProjectContext(updates) {
+    await this.updateContext(async (context) => {
+      // Deep merge updates
+      if (updates.project) {
+        context.project = { ...context.project, ...updates.project };
+      }
+      
+      if (updates.currentState) {
+        context.currentState = { ...context.currentState, ...updates.currentState };
+      }
+      
+      if (updates.keyInformation) {
+        context.keyInformation = { ...context.keyInformation, ...updates.keyInformation };
+      }
+    });
   }
 
   async captureCurrentState() {
@@ -251,28 +242,26 @@ For Developer role:
 ${context.additionalNotes || 'No additional notes'}
 `;
 
-    await fs.writeFile(this.handoffFile, handoff);
+    await writeFileAtomic(this.handoffFile, handoff);
     return this.handoffFile;
   }
 
   async addHistoryEntry(entry) {
-    const context = await this.loadContext();
-    
-    if (!context.history) {
-      context.history = [];
-    }
-    
-    context.history.push({
-      ...entry,
-      timestamp: new Date().toISOString()
+    await this.updateContext(async (context) => {
+      if (!context.history) {
+        context.history = [];
+      }
+      
+      context.history.push({
+        ...entry,
+        timestamp: new Date().toISOString()
+      });
+      
+      // Keep only last 100 entries
+      if (context.history.length > 100) {
+        context.history = context.history.slice(-100);
+      }
     });
-    
-    // Keep only last 100 entries
-    if (context.history.length > 100) {
-      context.history = context.history.slice(-100);
-    }
-    
-    await this.saveContext(context);
   }
 
   async getRecentHistory(limit = 10) {
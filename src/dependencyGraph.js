@@ -0,0 +1,128 @@
+// Dependency graph over a task map ({ [taskId]: task }). A task depends on
+// every ID in its dependsOn list; paths are written dependent -> dependency.
+
+export function findDanglingDependencies(tasks, taskIds = Object.keys(tasks)) {
+  const dangling = [];
+  for (const taskId of taskIds) {
+    for (const dependencyId of tasks[taskId]?.dependsOn || []) {
+      if (!tasks[dependencyId]) {
+        dangling.push({ taskId, dependsOn: dependencyId });
+      }
+    }
+  }
+  return dangling;
+}
+
+// Returns the first cycle reachable from taskIds as a path that starts and
+// ends with the same task (e.g. ['A', 'B', 'A']), or null
+export function findCycle(tasks, taskIds = Object.keys(tasks)) {
+  const visited = new Set();
+  const path = [];
+
+  const visit = (taskId) => {
+    path.push(taskId);
+    for (const dependencyId of tasks[taskId].dependsOn || []) {
+      if (!tasks[dependencyId]) continue;
+
+      const index = path.indexOf(dependencyId);
+      if (index !== -1) {
+        return [...path.slice(index), dependencyId];
+      }
+      if (!visited.has(dependencyId)) {
+        const cycle = visit(dependencyId);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    visited.add(taskId);
+    return null;
+  };
+
+  for (const taskId of taskIds) {
+    if (tasks[taskId] && !visited.has(taskId)) {
+      const cycle = visit(taskId);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+// Dependencies come before their dependents; ties keep insertion order.
+// Tasks on or behind a cycle are left out.
+export function topologicalOrder(tasks) {
+  const remaining = new Map();
+  const dependents = new Map();
+
+  for (const [taskId, task] of Object.entries(tasks)) {
+    const dependencies = (task.dependsOn || []).filter(id => tasks[id]);
+    remaining.set(taskId, dependencies.length);
+    for (const dependencyId of dependencies) {
+      if (!dependents.has(dependencyId)) dependents.set(dependencyId, []);
+      dependents.get(dependencyId).push(taskId);
+    }
+  }
+
+  const queue = [...remaining.keys()].filter(taskId => remaining.get(taskId) === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const taskId = queue.shift();
+    order.push(taskId);
+    for (const dependentId of dependents.get(taskId) || []) {
+      remaining.set(dependentId, remaining.get(dependentId) - 1);
+      if (remaining.get(dependentId) === 0) {
+        queue.push(dependentId);
+      }
+    }
+  }
+  return order;
+}
+
+// Longest chain of tasks that are not completed or cancelled yet, in the
+// order they have to be done: the fewest sequential steps before all work can
+// be finished
+export function criticalPath(tasks, order = topologicalOrder(tasks)) {
+  const length = new Map();
+  const previous = new Map();
+  let last = null;
+
+  for (const taskId of order) {
+    if (['completed', 'cancelled'].includes(tasks[taskId].status)) continue;
+
+    let best = null;
+    for (const dependencyId of tasks[taskId].dependsOn || []) {
+      if (length.has(dependencyId) && (best === null || length.get(dependencyId) > length.get(best))) {
+        best = dependencyId;
+      }
+    }
+
+    length.set(taskId, best === null ? 1 : length.get(best) + 1);
+    previous.set(taskId, best);
+    if (last === null || length.get(taskId) > length.get(last)) {
+      last = taskId;
+    }
+  }
+
+  const path = [];
+  for (let taskId = last; taskId !== null; taskId = previous.get(taskId)) {
+    path.unshift(taskId);
+  }
+  return path;
+}
+
+export function buildDependencyGraph(tasks) {
+  const edges = [];
+  for (const [taskId, task] of Object.entries(tasks)) {
+    for (const dependencyId of task.dependsOn || []) {
+      edges.push({ from: dependencyId, to: taskId });
+    }
+  }
+
+  const order = topologicalOrder(tasks);
+  return {
+    edges,
+    order,
+    criticalPath: criticalPath(tasks, order),
+    dangling: findDanglingDependencies(tasks),
+    cycle: findCycle(tasks),
+  };
+}
@@ -0,0 +1,205 @@
+import { execFile } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Patches larger than this are cut off and marked truncated
+export const MAX_DIFF_BYTES = 512 * 1024;
+
+// Parses `git diff --name-status` output into { status, path, from }
+function parseNameStatus(output) {
+  return output.split('\n').filter(Boolean).map(line => {
+    const [status, ...paths] = line.split('\t');
+    return {
+      status: status[0],
+      path: paths[paths.length - 1],
+      from: paths.length > 1 ? paths[0] : null,
+    };
+  });
+}
+
+// `git worktree list --porcelain` output as [{ path, branch }], branch
+// being the short name or null when detached
+function parseWorktrees(output) {
+  return output.split('\n\n').filter(Boolean).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const space = line.indexOf(' ');
+      return space === -1 ? [line, true] : [line.slice(0, space), line.slice(space + 1)];
+    }));
+    return {
+      path: fields.worktree,
+      branch: typeof fields.branch === 'string' ? fields.branch.replace(/^refs\/heads\//, '') : null,
+    };
+  });
+}
+
+// The project's local git repository. Only reads and local branch
+// operations; nothing is ever pushed or fetched. `exclude` lists
+// directories (the server's own state) that diffs leave out.
+export class GitRepository {
+  constructor(root, { exclude = [] } = {}) {
+    this.root = root;
+    const excluded = root
+      ? exclude.map(dir => path.relative(root, dir)).filter(dir => dir && !dir.startsWith('..') && !path.isAbsolute(dir))
+      : [];
+    this.pathspecs = [':/', ...excluded.map(dir => `:(exclude)${dir}`)];
+  }
+
+  async git(args, { env = {}, cwd = this.root } = {}) {
+    if (!this.root) {
+      throw new Error('No project path configured for git');
+    }
+    try {
+      const { stdout } = await execFileAsync('git', args, {
+        cwd,
+        env: { ...process.env, ...env },
+        maxBuffer: 64 * 1024 * 1024,
+      });
+      return stdout;
+    } catch (error) {
+      throw new Error(`git ${args[0]} failed in ${this.root}: ${(error.stderr || error.message).trim()}`);
+    }
+  }
+
+  // Whether a git command exits with 0, for the commands that answer a
+  // question through their exit status
+  async succeeds(args) {
+    try {
+      await this.git(args);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async head() {
+    return this.commitOf('HEAD');
+  }
+
+  async commitOf(ref) {
+    return (await this.git(['rev-parse', '--verify', `${ref}^{commit}`])).trim();
+  }
+
+  async mergeBase(a, b) {
+    return (await this.git(['merge-base', a, b])).trim();
+  }
+
+  async branchExists(name) {
+    return this.succeeds(['show-ref', '--verify', '--quiet', `refs/heads/${name}`]);
+  }
+
+  // Creates the branch at startPoint unless it exists already; returns
+  // whether it was created
+  async ensureBranch(name, startPoint = 'HEAD') {
+    if (await this.branchExists(name)) {
+      return false;
+    }
+    await this.git(['branch', '--no-track', name, startPoint]);
+    return true;
+  }
+
+  // Brings `branch` into `into`: { merged, commit, fastForward, upToDate }
+  // on success, { merged: false, reason, conflicts, error } when it can't be
+  // done cleanly, with the merge aborted. reason is 'conflicts', 'diverged'
+  // (with fastForwardOnly, a branch that has moved apart from `into` is
+  // never merged) or 'failed' for any other git error. Never throws.
+  async mergeBranch(branch, into, options = {}) {
+    try {
+      return await this.attemptMerge(branch, into, options);
+    } catch (error) {
+      return { merged: false, reason: 'failed', conflicts: [], error: error.message };
+    }
+  }
+
+  // The merge runs in the worktree that has `into` checked out, provided it
+  // has no uncommitted changes, or in a temporary one
+  async attemptMerge(branch, into, { fastForwardOnly = false, message = null }) {
+    const target = await this.commitOf(into);
+    const tip = await this.commitOf(branch);
+    if (await this.succeeds(['merge-base', '--is-ancestor', tip, target])) {
+      return { merged: true, commit: target, fastForward: false, upToDate: true };
+    }
+    if (fastForwardOnly && !await this.succeeds(['merge-base', '--is-ancestor', target, tip])) {
+      return { merged: false, reason: 'diverged', conflicts: [] };
+    }
+
+    const checkedOut = await this.worktreeOf(into);
+    if (checkedOut && !await this.succeeds(['-C', checkedOut, 'diff', '--quiet', 'HEAD', '--'])) {
+      throw new Error(`${into} is checked out in ${checkedOut} with uncommitted changes`);
+    }
+    const dir = checkedOut || await fs.mkdtemp(path.join(os.tmpdir(), 'ai-collab-merge-'));
+    try {
+      if (!checkedOut) {
+        await this.git(['worktree', 'add', '--quiet', dir, into]);
+      }
+      try {
+        await this.git(['merge', '--no-edit', fastForwardOnly ? '--ff-only' : '--ff', ...(message ? ['-m', message] : []), branch], { cwd: dir });
+      } catch (error) {
+        const conflicts = (await this.git(['diff', '--name-only', '--diff-filter=U'], { cwd: dir })).split('\n').filter(Boolean);
+        if (conflicts.length === 0) {
+          throw error;
+        }
+        await this.git(['merge', '--abort'], { cwd: dir });
+        return { merged: false, reason: 'conflicts', conflicts };
+      }
+
+      const commit = await this.commitOf(into);
+      return { merged: true, commit, fastForward: commit === tip, upToDate: false };
+    } finally {
+      if (!checkedOut) {
+        await this.git(['worktree', 'remove', '--force', dir]).catch(() => {});
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  // Path of the worktree that has `branch` checked out, or null
+  async worktreeOf(branch) {
+    const worktrees = parseWorktrees(await this.git(['worktree', 'list', '--porcelain']));
+    return worktrees.find(worktree => worktree.branch === branch)?.path || null;
+  }
+
+  // Changes from the `base` commit to the working tree, untracked files
+  // included but excluded paths left out: { base, files, stat, patch,
+  // truncated }. With a branch, the working tree is the one that has it
+  // checked out; when none does, only what is committed on the branch
+  // counts. The working tree is staged into a copy of the index, so the
+  // repository's own index is left alone.
+  async diffWorkingTree(base, { branch = null } = {}) {
+    const cwd = branch ? await this.worktreeOf(branch) : this.root;
+    if (!cwd) {
+      return this.collectDiff(base, [base, branch]);
+    }
+    
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-collab-diff-'));
+    const env = { GIT_INDEX_FILE: path.join(dir, 'index') };
+    try {
+      const indexPath = path.resolve(cwd, (await this.git(['rev-parse', '--git-path', 'index'], { cwd })).trim());
+      await fs.copyFile(indexPath, env.GIT_INDEX_FILE).catch(() => {});
+      await this.git(['add', '--all', '--', ...this.pathspecs], { env, cwd });
+      return await this.collectDiff(base, ['--cached', base], { env, cwd });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  async collectDiff(base, range, options = {}) {
+    const diff = ['diff', '--no-color', '--no-ext-diff', ...range];
+    const pathspecs = ['--', ...this.pathspecs];
+    const patch = await this.git([...diff, ...pathspecs], options);
+    const files = parseNameStatus(await this.git([...diff, '--name-status', ...pathspecs], options));
+    const stat = (await this.git([...diff, '--shortstat', ...pathspecs], options)).trim();
+    const truncated = Buffer.byteLength(patch) > MAX_DIFF_BYTES;
+
+    return {
+      base,
+      files,
+      stat,
+      patch: truncated ? Buffer.from(patch).subarray(0, MAX_DIFF_BYTES).toString() : patch,
+      truncated,
+    };
+  }
+}
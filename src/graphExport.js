@@ -0,0 +1,167 @@
+// Renders the task and mission graph as Mermaid or Graphviz DOT text so the
+// queue can be shown to a human
+
+export const GRAPH_FORMATS = ['mermaid', 'dot'];
+
+export const GRAPH_MIME_TYPES = {
+  mermaid: 'text/vnd.mermaid',
+  dot: 'text/vnd.graphviz',
+};
+
+export const STATUS_COLORS = {
+  pending: '#e0e0e0',
+  available: '#a5d6a7',
+  in_progress: '#90caf9',
+  blocked: '#ef9a9a',
+  in_review: '#ffcc80',
+  in_verification: '#80deea',
+  needs_revision: '#fff59d',
+  completed: '#bdbdbd',
+  on_hold: '#b0bec5',
+  cancelled: '#f5f5f5',
+};
+
+const MISSION_COLOR = '#ce93d8';
+
+// Plan phases list tasks by ID or by title; tasks that match a phase of the
+// active plan are grouped under it
+function phaseTaskIds(phase, tasks) {
+  return (phase.tasks || [])
+    .map(entry => {
+      if (typeof entry === 'string') {
+        return tasks[entry] ? entry : null;
+      }
+      if (entry?.taskId && tasks[entry.taskId]) {
+        return entry.taskId;
+      }
+      return Object.keys(tasks).find(taskId => tasks[taskId].title === entry?.title) || null;
+    })
+    .filter(Boolean);
+}
+
+export function buildGraphModel({ tasks = {}, missions = {}, plan = null }) {
+  const edges = [];
+  for (const [taskId, task] of Object.entries(tasks)) {
+    for (const dependencyId of task.dependsOn || []) {
+      edges.push({ from: dependencyId, to: taskId, kind: 'dependsOn' });
+    }
+    for (const blockerId of task.blockedBy || []) {
+      edges.push({ from: blockerId, to: taskId, kind: 'blockedBy' });
+    }
+  }
+
+  const phases = [];
+  const grouped = new Set();
+  for (const [index, phase] of (plan?.phases || []).entries()) {
+    const taskIds = phaseTaskIds(phase, tasks).filter(taskId => !grouped.has(taskId));
+    taskIds.forEach(taskId => grouped.add(taskId));
+    if (taskIds.length > 0) {
+      phases.push({ name: `Phase ${index + 1}: ${phase.name}`, taskIds });
+    }
+  }
+
+  return {
+    tasks: Object.entries(tasks).map(([taskId, task]) => ({
+      id: taskId,
+      title: task.title,
+      status: task.status || 'pending',
+      phased: grouped.has(taskId),
+    })),
+    missions: Object.values(missions).map(mission => ({
+      id: mission.id,
+      title: mission.title,
+      status: mission.status,
+      taskIds: (mission.tasks || []).filter(taskId => tasks[taskId]),
+    })),
+    phases,
+    edges: edges.filter(edge => tasks[edge.from]),
+  };
+}
+
+export async function loadGraphModel({ taskQueue, missionManager, projectPlanManager }) {
+  return buildGraphModel({
+    tasks: await taskQueue.getAllTasks(),
+    missions: await missionManager.loadMissions(),
+    plan: await projectPlanManager.getActivePlan(),
+  });
+}
+
+// Letters and digits are kept and every other character becomes _<hex code>_,
+// so different IDs (KAN-1, KAN_1) never share a node
+const mermaidId = (prefix, id) =>
+  `${prefix}_${String(id).replace(/[^A-Za-z0-9]/gu, char => `_${char.codePointAt(0).toString(16)}_`)}`;
+const mermaidLabel = text => `"${String(text).replace(/"/g, '#quot;')}"`;
+
+export function renderMermaid(model) {
+  const lines = ['flowchart TD'];
+  for (const [status, color] of Object.entries(STATUS_COLORS)) {
+    lines.push(`  classDef ${status} fill:${color},stroke:#424242`);
+  }
+  lines.push(`  classDef mission fill:${MISSION_COLOR},stroke:#424242`);
+
+  const taskNode = task =>
+    `${mermaidId('task', task.id)}[${mermaidLabel(`${task.id}: ${task.title}`)}]:::${task.status in STATUS_COLORS ? task.status : 'pending'}`;
+  const tasksById = new Map(model.tasks.map(task => [task.id, task]));
+
+  model.phases.forEach((phase, index) => {
+    lines.push(`  subgraph phase_${index}[${mermaidLabel(phase.name)}]`);
+    phase.taskIds.forEach(taskId => lines.push(`    ${taskNode(tasksById.get(taskId))}`));
+    lines.push('  end');
+  });
+  model.tasks.filter(task => !task.phased).forEach(task => lines.push(`  ${taskNode(task)}`));
+
+  for (const mission of model.missions) {
+    lines.push(`  ${mermaidId('mission', mission.id)}([${mermaidLabel(`${mission.id}: ${mission.title}`)}]):::mission`);
+  }
+
+  for (const edge of model.edges) {
+    const arrow = edge.kind === 'blockedBy' ? '-. blocks .->' : '-->';
+    lines.push(`  ${mermaidId('task', edge.from)} ${arrow} ${mermaidId('task', edge.to)}`);
+  }
+  for (const mission of model.missions) {
+    mission.taskIds.forEach(taskId => lines.push(`  ${mermaidId('mission', mission.id)} -.- ${mermaidId('task', taskId)}`));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+const dotString = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+export function renderDot(model) {
+  const lines = [
+    'digraph tasks {',
+    '  rankdir=TB;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+  ];
+
+  const taskNode = task =>
+    `${dotString(task.id)} [label=${dotString(`${task.id}\n${task.title}`)}, fillcolor=${dotString(STATUS_COLORS[task.status] || STATUS_COLORS.pending)}];`;
+  const tasksById = new Map(model.tasks.map(task => [task.id, task]));
+
+  model.phases.forEach((phase, index) => {
+    lines.push(`  subgraph cluster_phase_${index} {`);
+    lines.push(`    label=${dotString(phase.name)};`);
+    phase.taskIds.forEach(taskId => lines.push(`    ${taskNode(tasksById.get(taskId))}`));
+    lines.push('  }');
+  });
+  model.tasks.filter(task => !task.phased).forEach(task => lines.push(`  ${taskNode(task)}`));
+
+  for (const mission of model.missions) {
+    lines.push(`  ${dotString(`mission:${mission.id}`)} [shape=ellipse, label=${dotString(`${mission.id}\n${mission.title}`)}, fillcolor=${dotString(MISSION_COLOR)}];`);
+  }
+
+  for (const edge of model.edges) {
+    const style = edge.kind === 'blockedBy' ? ' [style=dashed, label="blocks"]' : '';
+    lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)}${style};`);
+  }
+  for (const mission of model.missions) {
+    mission.taskIds.forEach(taskId => lines.push(`  ${dotString(`mission:${mission.id}`)} -> ${dotString(taskId)} [style=dotted, arrowhead=none];`));
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+export function renderGraph(model, format) {
+  return format === 'dot' ? renderDot(model) : renderMermaid(model);
+}
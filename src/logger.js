@@ -1,18 +1,15 @@
 import { promises as fs } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const LOGS_DIR = path.join(__dirname, '..', 'logs');
 
 export class CommunicationLogger {
-  constructor() {
+  constructor(logsDir) {
+    this.logsDir = logsDir;
     this.initializeLogsDir();
   }
 
   async initializeLogsDir() {
     try {
-      await fs.mkdir(LOGS_DIR, { recursive: true });
+      await fs.mkdir(this.logsDir, { recursive: true });
     } catch (error) {
       console.error('Failed to initialize logs directory:', error);
     }
@@ -20,7 +17,7 @@ export class CommunicationLogger {
 
   async getLogFile(type) {
     const date = new Date().toISOString().split('T')[0];
-    return path.join(LOGS_DIR, `${type}-${date}.jsonl`);
+    return path.join(this.logsDir, `${type}-${date}.jsonl`);
   }
 
   async appendLog(type, entry) {
@@ -66,6 +63,16 @@ export class CommunicationLogger {
     });
   }
 
+  async logComment(comment) {
+    await this.appendLog('reviews', {
+      action: `comment_${comment.change}`,
+      taskId: comment.taskId,
+      commentId: comment.commentId,
+      from: comment.author,
+      data: comment,
+    });
+  }
+
   async logQuestion(question) {
     await this.appendLog('questions', {
       action: 'question_asked',
@@ -76,6 +83,15 @@ export class CommunicationLogger {
     });
   }
 
+  async logTaskChange(change) {
+    await this.appendLog('changes', {
+      action: `task_${change.change}`,
+      taskId: change.taskId,
+      from: change.actor,
+      data: change,
+    });
+  }
+
   async logError(error) {
     await this.appendLog('errors', {
       action: 'error_occurred',
@@ -88,7 +104,7 @@ export class CommunicationLogger {
   async getLogs(type = 'all', limit = 100) {
     const logs = [];
     const logTypes = type === 'all' 
-      ? ['directives', 'submissions', 'reviews', 'questions', 'errors']
+      ? ['directives', 'submissions', 'reviews', 'questions', 'changes', 'errors']
       : [type];
     
     for (const logType of logTypes) {
@@ -134,6 +150,7 @@ export class CommunicationLogger {
         totalReviews: filteredLogs.filter(l => l.action === 'review_submitted').length,
         approvedReviews: filteredLogs.filter(l => l.action === 'review_submitted' && l.status === 'approved').length,
         totalQuestions: filteredLogs.filter(l => l.action === 'question_asked').length,
+        totalTaskChanges: filteredLogs.filter(l => l.type === 'changes').length,
         totalErrors: filteredLogs.filter(l => l.action === 'error_occurred').length,
       },
       logs: filteredLogs,
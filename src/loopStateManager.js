@@ -1,10 +1,6 @@
-import { promises as fs } from 'fs';
-import path from 'path';
-
 export class LoopStateManager {
-  constructor(dataPath = './data') {
-    this.dataPath = dataPath;
-    this.loopStatesFile = path.join(dataPath, 'loop-states.json');
+  constructor(storage) {
+    this.store = storage.open('loop-states', () => ({}));
     this.loopStates = new Map();
   }
 
@@ -13,32 +9,26 @@ export class LoopStateManager {
   }
 
   async loadStates() {
-    try {
-      const data = await fs.readFile(this.loopStatesFile, 'utf8');
-      const states = JSON.parse(data);
-      this.loopStates = new Map(Object.entries(states));
-    } catch (error) {
-      // File doesn't exist yet, start with empty states
-      this.loopStates = new Map();
-      // Ensure data directory exists
-      try {
-        await fs.mkdir(this.dataPath, { recursive: true });
-      } catch (mkdirError) {
-        // Directory might already exist, that's fine
-      }
-    }
+    const states = await this.store.read();
+    this.loopStates = new Map(Object.entries(states));
   }
 
   async saveStates() {
-    // Ensure data directory exists before writing
-    try {
-      await fs.mkdir(this.dataPath, { recursive: true });
-    } catch (error) {
-      // Directory might already exist, that's fine
-    }
-    
     const states = Object.fromEntries(this.loopStates);
-    await fs.writeFile(this.loopStatesFile, JSON.stringify(states, null, 2));
+    await this.store.write(states);
+  }
+
+  // Apply a change to one agent's state on top of the latest stored states,
+  // so loops started by other server processes are never overwritten
+  async updateState(agentName, updater) {
+    return await this.store.transaction(async (states) => {
+      const updatedState = updater(states[agentName] || null);
+      if (updatedState) {
+        states[agentName] = updatedState;
+      }
+      this.loopStates = new Map(Object.entries(states));
+      return updatedState;
+    });
   }
 
   async startLoop(agentName, options = {}) {
@@ -57,34 +47,27 @@ export class LoopStateManager {
       errors: []
     };
 
-    this.loopStates.set(agentName, loopState);
-    await this.saveStates();
-    return loopState;
+    return await this.updateState(agentName, () => loopState);
   }
 
   async updateLoop(agentName, updates) {
-    const state = this.loopStates.get(agentName);
-    if (!state) return null;
+    return await this.updateState(agentName, (state) => {
+      if (!state) return null;
 
-    const updatedState = { ...state, ...updates };
-    this.loopStates.set(agentName, updatedState);
-    await this.saveStates();
-    return updatedState;
+      return { ...state, ...updates };
+    });
   }
 
   async stopLoop(agentName) {
-    const state = this.loopStates.get(agentName);
-    if (!state) return null;
-
-    const stoppedState = {
-      ...state,
-      isActive: false,
-      stoppedAt: new Date().toISOString()
-    };
-
-    this.loopStates.set(agentName, stoppedState);
-    await this.saveStates();
-    return stoppedState;
+    return await this.updateState(agentName, (state) => {
+      if (!state) return null;
+
+      return {
+        ...state,
+        isActive: false,
+        stoppedAt: new Date().toISOString()
+      };
+    });
   }
 
   getLoopState(agentName) {
@@ -96,25 +79,24 @@ export class LoopStateManager {
   }
 
   async incrementIteration(agentName) {
-    const state = this.loopStates.get(agentName);
-    if (!state || !state.isActive) return null;
-
-    const updatedState = {
-      ...state,
-      currentIteration: state.currentIteration + 1,
-      lastCheckAt: new Date().toISOString(),
-      nextCheckAt: new Date(Date.now() + state.checkInterval * 1000).toISOString()
-    };
-
-    // Check if we've reached max iterations
-    if (updatedState.currentIteration >= state.maxIterations) {
-      updatedState.isActive = false;
-      updatedState.stoppedAt = new Date().toISOString();
-      updatedState.stopReason = 'Max iterations reached';
-    }
+    return await this.updateState(agentName, (state) => {
+      if (!state || !state.isActive) return null;
+
+      const updatedState = {
+        ...state,
+        currentIteration: state.currentIteration + 1,
+        lastCheckAt: new Date().toISOString(),
+        nextCheckAt: new Date(Date.now() + state.checkInterval * 1000).toISOString()
+      };
+
+      // Check if we've reached max iterations
+      if (updatedState.currentIteration >= state.maxIterations) {
+        updatedState.isActive = false;
+        updatedState.stoppedAt = new Date().toISOString();
+        updatedState.stopReason = 'Max iterations reached';
+      }
 
-    this.loopStates.set(agentName, updatedState);
-    await this.saveStates();
-    return updatedState;
+      return updatedState;
+    });
   }
 }
\ No newline at end of file
@@ -1,48 +1,38 @@
-import { promises as fs } from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
+import { normalizeApprovalPolicy } from './approvalPolicy.js';
+import { leafTaskIds } from './taskHierarchy.js';
 
 export class MissionManager {
-  constructor(taskQueue, roleManager) {
+  constructor(taskQueue, roleManager, storage) {
     this.taskQueue = taskQueue;
     this.roleManager = roleManager;
-    this.missionsFile = path.join(DATA_DIR, 'missions.json');
+    this.store = storage.open('missions', () => ({}));
     this.initializeMissions();
   }
 
   async initializeMissions() {
     try {
-      // Ensure data directory exists
-      await fs.mkdir(DATA_DIR, { recursive: true });
-      
-      // Check if missions file exists
-      await fs.access(this.missionsFile);
-    } catch {
-      await this.saveMissions({});
+      await this.store.ensure();
+    } catch (error) {
+      console.error('Failed to initialize missions store:', error);
     }
   }
 
   async loadMissions() {
-    try {
-      const data = await fs.readFile(this.missionsFile, 'utf8');
-      return JSON.parse(data);
-    } catch {
-      return {};
-    }
+    return await this.store.read();
   }
 
   async saveMissions(missions) {
-    await fs.writeFile(this.missionsFile, JSON.stringify(missions, null, 2));
+    await this.store.write(missions);
+  }
+
+  // Run a load-mutate-commit cycle against the mission store under its lock
+  async updateMissions(mutator) {
+    return await this.store.transaction(mutator);
   }
 
   async createMission(mission) {
-    const missions = await this.loadMissions();
-    
     const missionId = `MISSION-${Date.now()}`;
-    missions[missionId] = {
+    const created = {
       id: missionId,
       title: mission.title,
       objective: mission.objective,
@@ -57,13 +47,16 @@ export class MissionManager {
       iterations: 0,
       maxIterations: mission.maxIterations || 50,
       autoDecompose: mission.autoDecompose !== false,
-      requiresApproval: mission.requiresApproval || false
+      requiresApproval: mission.requiresApproval || false,
+      approvalPolicy: mission.approvalPolicy ? normalizeApprovalPolicy(mission.approvalPolicy, this.roleManager.getAllRoles()) : null
     };
 
-    await this.saveMissions(missions);
+    await this.updateMissions(async (missions) => {
+      missions[missionId] = created;
+    });
 
     // If autoDecompose is true, create initial tasks
-    if (missions[missionId].autoDecompose) {
+    if (created.autoDecompose) {
       await this.decomposeMission(missionId);
     }
 
@@ -71,59 +64,93 @@ export class MissionManager {
   }
 
   async decomposeMission(missionId) {
-    const missions = await this.loadMissions();
-    const mission = missions[missionId];
-    
-    if (!mission) {
-      throw new Error(`Mission ${missionId} not found`);
-    }
+    return await this.updateMissions(async (missions) => {
+      const mission = missions[missionId];
+      
+      if (!mission) {
+        throw new Error(`Mission ${missionId} not found`);
+      }
 
-    // This is where an AI with project_manager role would analyze the mission
-    // and create specific tasks. For now, we'll create a template structure
-    const decompositionPrompt = {
-      role: 'project_manager',
-      action: 'decompose_mission',
-      mission: mission,
-      instruction: `Break down this mission into specific, actionable tasks. Consider:
+      // This is where an AI with project_manager role would analyze the mission
+      // and create specific tasks. For now, we'll create a template structure
+      const decompositionPrompt = {
+        role: 'project_manager',
+        action: 'decompose_mission',
+        // Snapshot, since the prompt is stored on the mission itself
+        mission: { ...mission },
+        instruction: `Break down this mission into specific, actionable tasks. Consider:
         - Technical dependencies
         - Logical progression
         - Acceptance criteria
         - Risk factors
         - Required expertise`
-    };
+      };
 
-    // Store the decomposition request
-    mission.decompositionPending = true;
-    mission.decompositionPrompt = decompositionPrompt;
-    
-    await this.saveMissions(missions);
-    
-    return decompositionPrompt;
+      // Store the decomposition request
+      mission.decompositionPending = true;
+      mission.decompositionPrompt = decompositionPrompt;
+      
+      return decompositionPrompt;
+    });
   }
 
   async addTaskToMission(missionId, taskId) {
-    const missions = await this.loadMissions();
-    const mission = missions[missionId];
-    
-    if (!mission) {
-      throw new Error(`Mission ${missionId} not found`);
-    }
+    await this.updateMissions(async (missions) => {
+      const mission = missions[missionId];
+      
+      if (!mission) {
+        throw new Error(`Mission ${missionId} not found`);
+      }
+
+      if (!mission.tasks.includes(taskId)) {
+        mission.tasks.push(taskId);
+        mission.lastUpdated = new Date().toISOString();
+      }
+    });
+  }
+
+  // Policy for reviews of tasks in the mission; null uses the project default
+  async setApprovalPolicy(missionId, policy) {
+    return await this.updateMissions(async (missions) => {
+      const mission = missions[missionId];
+      
+      if (!mission) {
+        throw new Error(`Mission ${missionId} not found`);
+      }
 
-    if (!mission.tasks.includes(taskId)) {
-      mission.tasks.push(taskId);
+      mission.approvalPolicy = policy ? normalizeApprovalPolicy(policy, this.roleManager.getAllRoles()) : null;
       mission.lastUpdated = new Date().toISOString();
-      await this.saveMissions(missions);
-    }
+      return mission.approvalPolicy;
+    });
   }
 
-  async updateMissionStatus(missionId, status, reason) {
+  // The first mission containing the task that sets a policy
+  async getApprovalPolicyForTask(task) {
     const missions = await this.loadMissions();
-    const mission = missions[missionId];
-    
-    if (!mission) {
-      throw new Error(`Mission ${missionId} not found`);
-    }
+    const mission = Object.values(missions).find(mission =>
+      mission.approvalPolicy && (mission.id === task.missionId || mission.tasks.includes(task.taskId))
+    );
+    return mission?.approvalPolicy || null;
+  }
+
+  async getMissionsForTask(taskId) {
+    const missions = await this.loadMissions();
+    return Object.values(missions).filter(mission => mission.tasks.includes(taskId));
+  }
+
+  async updateMissionStatus(missionId, status, reason) {
+    await this.updateMissions(async (missions) => {
+      const mission = missions[missionId];
+      
+      if (!mission) {
+        throw new Error(`Mission ${missionId} not found`);
+      }
+
+      this.applyMissionStatus(mission, status, reason);
+    });
+  }
 
+  applyMissionStatus(mission, status, reason) {
     mission.status = status;
     mission.statusReason = reason;
     mission.lastUpdated = new Date().toISOString();
@@ -131,54 +158,66 @@ export class MissionManager {
     if (status === 'completed') {
       mission.completedAt = new Date().toISOString();
     }
-
-    await this.saveMissions(missions);
   }
 
   async checkMissionProgress(missionId) {
-    const missions = await this.loadMissions();
-    const mission = missions[missionId];
-    
-    if (!mission) {
-      throw new Error(`Mission ${missionId} not found`);
-    }
+    return await this.updateMissions(async (missions) => {
+      const mission = missions[missionId];
+      
+      if (!mission) {
+        throw new Error(`Mission ${missionId} not found`);
+      }
 
-    // Get all tasks associated with this mission
-    const taskStatuses = await Promise.all(
-      mission.tasks.map(taskId => this.taskQueue.getTask(taskId))
-    );
+      // Get all tasks associated with this mission. Tasks split into subtasks
+      // count through their leaf tasks; cancelled ones don't count at all.
+      const tasks = await this.taskQueue.getAllTasks();
+      const leaves = leafTaskIds(tasks, mission.tasks).map(taskId => tasks[taskId]);
+      const taskStatuses = leaves.filter(t => t?.status !== 'cancelled');
 
-    const progress = {
-      totalTasks: mission.tasks.length,
-      completedTasks: taskStatuses.filter(t => t && t.status === 'completed').length,
-      inProgressTasks: taskStatuses.filter(t => t && t.status === 'in_review').length,
-      pendingTasks: taskStatuses.filter(t => t && (t.status === 'pending' || t.status === 'needs_revision')).length,
-      blockedTasks: taskStatuses.filter(t => t && t.blocked).length
-    };
+      const progress = {
+        totalTasks: taskStatuses.length,
+        cancelledTasks: leaves.length - taskStatuses.length,
+        completedTasks: taskStatuses.filter(t => t && t.status === 'completed').length,
+        inProgressTasks: taskStatuses.filter(t => t && ['in_review', 'in_verification'].includes(t.status)).length,
+        pendingTasks: taskStatuses.filter(t => t && (t.status === 'pending' || t.status === 'needs_revision')).length,
+        blockedTasks: taskStatuses.filter(t => t && t.status === 'blocked').length,
+        // Blocked tasks that wait on a cancelled dependency never start on
+        // their own; the CTO has to drop the dependency or cancel them too
+        waitingOnCancelled: taskStatuses
+          .filter(t => t && t.status === 'blocked')
+          .map(t => ({ taskId: t.taskId, cancelledDependencies: (t.dependsOn || []).filter(id => tasks[id]?.status === 'cancelled') }))
+          .filter(t => t.cancelledDependencies.length > 0)
+      };
 
-    progress.percentComplete = mission.tasks.length > 0 
-      ? Math.round((progress.completedTasks / progress.totalTasks) * 100)
-      : 0;
-
-    // Check if mission is complete
-    if (progress.completedTasks === progress.totalTasks && progress.totalTasks > 0) {
-      // Verify acceptance criteria
-      const criteriaCheck = await this.checkAcceptanceCriteria(missionId);
-      if (criteriaCheck.allMet) {
-        await this.updateMissionStatus(missionId, 'completed', 'All tasks completed and acceptance criteria met');
-      } else {
-        progress.acceptanceCriteriaStatus = criteriaCheck;
+      progress.percentComplete = progress.totalTasks > 0 
+        ? Math.round((progress.completedTasks / progress.totalTasks) * 100)
+        : 0;
+
+      // Parent tasks still need their own approval once the leaves are done
+      const parentsCompleted = mission.tasks.every(taskId =>
+        !(tasks[taskId]?.subtasks?.length > 0) || ['completed', 'cancelled'].includes(tasks[taskId].status)
+      );
+
+      // Check if mission is complete
+      if (progress.completedTasks === progress.totalTasks && progress.totalTasks > 0 && parentsCompleted) {
+        // Verify acceptance criteria
+        const criteriaCheck = await this.checkAcceptanceCriteria(missionId);
+        if (criteriaCheck.allMet) {
+          // Applied in place: updateMissionStatus would wait on the lock we hold
+          this.applyMissionStatus(mission, 'completed', 'All tasks completed and acceptance criteria met');
+        } else {
+          progress.acceptanceCriteriaStatus = criteriaCheck;
+        }
       }
-    }
 
-    mission.iterations++;
-    await this.saveMissions(missions);
+      mission.iterations++;
 
-    return {
-      mission,
-      progress,
-      shouldContinue: mission.status === 'active' && mission.iterations < mission.maxIterations
-    };
+      return {
+        mission,
+        progress,
+        shouldContinue: mission.status === 'active' && mission.iterations < mission.maxIterations
+      };
+    });
   }
 
   async checkAcceptanceCriteria(missionId) {
@@ -213,19 +252,18 @@ export class MissionManager {
   }
 
   async recordDecision(missionId, decision) {
-    const missions = await this.loadMissions();
-    const mission = missions[missionId];
-    
-    if (!mission) {
-      throw new Error(`Mission ${missionId} not found`);
-    }
+    await this.updateMissions(async (missions) => {
+      const mission = missions[missionId];
+      
+      if (!mission) {
+        throw new Error(`Mission ${missionId} not found`);
+      }
 
-    mission.decisions.push({
-      ...decision,
-      timestamp: new Date().toISOString(),
-      id: `DEC-${Date.now()}`
+      mission.decisions.push({
+        ...decision,
+        timestamp: new Date().toISOString(),
+        id: `DEC-${Date.now()}`
+      });
     });
-
-    await this.saveMissions(missions);
   }
 }
\ No newline at end of file
@@ -0,0 +1,146 @@
+import { projectResourceUri } from './projectRegistry.js';
+
+// Roles that have new work when a TaskQueue event fires. Agents subscribed to
+// ai-collab://agents/<agentName>/work are notified when their role is listed.
+// ROUTED stands for whoever the task and the tasks waiting on it are routed
+// to: their assignee, and the role that owns their workflow stage when nobody
+// is assigned or the stage is a review or verification.
+// REVIEWERS stands for the roles the task's approval policy requires.
+const ROUTED = 'routed';
+const REVIEWERS = 'reviewers';
+
+const TASK_EVENT_ROLES = {
+  taskCreated: [ROUTED],
+  taskSubmitted: [ROUTED, REVIEWERS],
+  reviewPosted: [ROUTED, REVIEWERS],
+  taskVerified: ['cto', ROUTED],
+  taskCompleted: [ROUTED],
+  taskStatusChanged: [ROUTED],
+  taskUpdated: [ROUTED],
+  threadUpdated: ['cto', ROUTED],
+  questionAsked: ['cto', ROUTED],
+  questionAnswered: ['cto', ROUTED],
+};
+
+// Every task or mission change redraws the graph resources
+const GRAPH_PATHS = ['graph', 'graph/mermaid', 'graph/dot'];
+
+const MISSION_EVENT_ROLES = {
+  missionCompleted: ['cto'],
+  missionStopped: ['cto'],
+  workCycle: [],
+};
+
+// Turns manager events into MCP resources/updated notifications for every
+// connected server that subscribed to an affected URI
+export class NotificationHub {
+  constructor(projects, roleManager) {
+    this.roleManager = roleManager;
+    this.subscriptions = new Map();
+    this.loadedProjects = 0;
+
+    projects.on('projectLoaded', project => this.watchProject(project));
+  }
+
+  addServer(server) {
+    this.subscriptions.set(server, new Set());
+
+    const onclose = server.onclose;
+    server.onclose = () => {
+      this.subscriptions.delete(server);
+      onclose?.();
+    };
+  }
+
+  subscribe(server, uri) {
+    if (!uri.startsWith('ai-collab://')) {
+      throw new Error(`Cannot subscribe to ${uri}: not an ai-collab:// resource`);
+    }
+    this.subscriptions.get(server)?.add(uri);
+  }
+
+  unsubscribe(server, uri) {
+    this.subscriptions.get(server)?.delete(uri);
+  }
+
+  watchProject(project) {
+    const { projectId, taskQueue, autonomousEngine } = project;
+
+    for (const [event, roles] of Object.entries(TASK_EVENT_ROLES)) {
+      taskQueue.on(event, ({ taskId }) => {
+        this.routedAudience(taskQueue, taskId, roles)
+          .then(audience => {
+            this.notify(projectId, ['tasks', taskId && `tasks/${taskId}`, taskId && `tasks/${taskId}/diff`, ...GRAPH_PATHS], audience.roles, audience.agents);
+          })
+          .catch((error) => {
+            console.error(`Failed to notify subscribers of ${event}:`, error.message);
+          });
+      });
+    }
+
+    for (const [event, roles] of Object.entries(MISSION_EVENT_ROLES)) {
+      autonomousEngine.on(event, ({ missionId }) => {
+        this.notify(projectId, ['missions', missionId && `missions/${missionId}`, ...GRAPH_PATHS], roles);
+      });
+    }
+
+    // Projects after the first add resources to resources/list
+    if (this.loadedProjects++ > 0) {
+      for (const server of this.subscriptions.keys()) {
+        server.sendResourceListChanged().catch(() => {});
+      }
+    }
+  }
+
+  async routedAudience(taskQueue, taskId, roles) {
+    const audience = { roles: roles.filter(role => role !== ROUTED && role !== REVIEWERS), agents: [] };
+    if (!roles.includes(ROUTED) && !roles.includes(REVIEWERS)) {
+      return audience;
+    }
+
+    const tasks = await taskQueue.getAllTasks();
+    if (roles.includes(REVIEWERS) && tasks[taskId]) {
+      const policy = await taskQueue.approvalPolicyFor(tasks[taskId]);
+      audience.roles.push(...policy.roles);
+    }
+    if (!roles.includes(ROUTED)) {
+      return audience;
+    }
+
+    const affected = Object.values(tasks).filter(task => task.taskId === taskId || task.dependsOn?.includes(taskId));
+    for (const task of affected) {
+      const stage = taskQueue.stageOf(task);
+      if (task.assignee) {
+        audience.agents.push(task.assignee);
+      }
+      if (!task.assignee || stage.type !== 'work') {
+        audience.roles.push(taskQueue.stageRole(task, stage));
+      }
+    }
+    return audience;
+  }
+
+  notify(projectId, resourcePaths, roles = [], agents = []) {
+    const uris = new Set(resourcePaths.filter(Boolean).map(resourcePath => projectResourceUri(projectId, resourcePath)));
+
+    for (const [server, subscribed] of this.subscriptions) {
+      for (const uri of subscribed) {
+        if (uris.has(uri) || this.isWorkUriFor(uri, projectId, roles, agents)) {
+          server.sendResourceUpdated({ uri }).catch((error) => {
+            console.error(`Failed to notify subscriber of ${uri}:`, error.message);
+          });
+        }
+      }
+    }
+  }
+
+  isWorkUriFor(uri, projectId, roles, agents) {
+    const prefix = projectResourceUri(projectId, 'agents/');
+    if (!uri.startsWith(prefix) || !uri.endsWith('/work')) {
+      return false;
+    }
+
+    const agentName = uri.slice(prefix.length, -'/work'.length).toLowerCase();
+    return agents.includes(agentName) || roles.includes(this.roleManager.getAgentRole(agentName));
+  }
+}
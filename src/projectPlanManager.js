@@ -1,72 +1,59 @@
-import { promises as fs } from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const PLANS_FILE = path.join(DATA_DIR, 'project-plans.json');
-
 export class ProjectPlanManager {
-  constructor() {
+  constructor(storage) {
+    this.store = storage.open('project-plans', () => ({}));
     this.initializeDataDir();
   }
 
   async initializeDataDir() {
     try {
-      await fs.mkdir(DATA_DIR, { recursive: true });
-      
-      try {
-        await fs.access(PLANS_FILE);
-      } catch {
-        await this.savePlans({});
-      }
+      await this.store.ensure();
     } catch (error) {
       console.error('Failed to initialize project plans directory:', error);
     }
   }
 
   async loadPlans() {
-    try {
-      const data = await fs.readFile(PLANS_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      return {};
-    }
+    return await this.store.read();
   }
 
   async savePlans(plans) {
-    await fs.writeFile(PLANS_FILE, JSON.stringify(plans, null, 2));
+    await this.store.write(plans);
+  }
+
+  // Run a load-mutate-commit cycle against the plan store under its lock
+  async updatePlans(mutator) {
+    return await this.store.transaction(mutator);
   }
 
   async createProjectPlan(planData) {
-    const plans = await this.loadPlans();
-    const planId = `PLAN-${Date.now()}`;
-    
-    const plan = {
-      id: planId,
-      title: planData.title,
-      description: planData.description,
-      phases: planData.phases || [],
-      currentPhase: 0,
-      status: 'active',
-      createdAt: new Date().toISOString(),
-      createdBy: planData.createdBy,
-      completedPhases: [],
-      totalTasks: 0,
-      completedTasks: 0,
-      adjustments: [],
-      projectRequirements: planData.projectRequirements || null
-    };
-
-    // Calculate total tasks
-    plan.totalTasks = plan.phases.reduce((total, phase) => 
-      total + (phase.tasks ? phase.tasks.length : 1), 0
-    );
+    return await this.updatePlans(async (plans) => {
+      const planId = `PLAN-${Date.now()}`;
+      
+      const plan = {
+        id: planId,
+        title: planData.title,
+        description: planData.description,
+        phases: planData.phases || [],
+        currentPhase: 0,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        createdBy: planData.createdBy,
+        completedPhases: [],
+        totalTasks: 0,
+        completedTasks: 0,
+        adjustments: [],
+        projectRequirements: planData.projectRequirements || null
+      };
 
-    plans[planId] = plan;
-    await this.savePlans(plans);
-    
-    return plan;
+      // Calculate total tasks
+      plan.totalTasks = plan.phases.reduce((total, phase) => 
+        total + (phase.tasks ? phase.tasks.length : 1), 0
+      );
+
+      plans[planId] = plan;
+      
+      return plan;
+    });
   }
 
   async getActivePlan() {
@@ -75,71 +62,71 @@ export class ProjectPlanManager {
   }
 
   async updatePlanProgress(planId, updates) {
-    const plans = await this.loadPlans();
-    const plan = plans[planId];
-    
-    if (!plan) {
-      throw new Error(`Plan ${planId} not found`);
-    }
-
-    // Update plan with new progress
-    Object.assign(plan, updates, {
-      lastUpdated: new Date().toISOString()
-    });
+    return await this.updatePlans(async (plans) => {
+      const plan = plans[planId];
+      
+      if (!plan) {
+        throw new Error(`Plan ${planId} not found`);
+      }
 
-    // Check if current phase is complete
-    if (updates.currentPhaseComplete) {
-      plan.completedPhases.push({
-        phaseIndex: plan.currentPhase,
-        completedAt: new Date().toISOString(),
-        ...plan.phases[plan.currentPhase]
+      // Update plan with new progress
+      Object.assign(plan, updates, {
+        lastUpdated: new Date().toISOString()
       });
-      plan.currentPhase++;
-      
-      // Check if entire plan is complete
-      if (plan.currentPhase >= plan.phases.length) {
-        plan.status = 'completed';
-        plan.completedAt = new Date().toISOString();
+
+      // Check if current phase is complete
+      if (updates.currentPhaseComplete) {
+        plan.completedPhases.push({
+          phaseIndex: plan.currentPhase,
+          completedAt: new Date().toISOString(),
+          ...plan.phases[plan.currentPhase]
+        });
+        plan.currentPhase++;
+        
+        // Check if entire plan is complete
+        if (plan.currentPhase >= plan.phases.length) {
+          plan.status = 'completed';
+          plan.completedAt = new Date().toISOString();
+        }
       }
-    }
 
-    await this.savePlans(plans);
-    return plan;
+      return plan;
+    });
   }
 
   async adjustPlan(planId, adjustment) {
-    const plans = await this.loadPlans();
-    const plan = plans[planId];
-    
-    if (!plan) {
-      throw new Error(`Plan ${planId} not found`);
-    }
+    return await this.updatePlans(async (plans) => {
+      const plan = plans[planId];
+      
+      if (!plan) {
+        throw new Error(`Plan ${planId} not found`);
+      }
 
-    // Record the adjustment
-    plan.adjustments.push({
-      type: adjustment.type,
-      description: adjustment.description,
-      madeBy: adjustment.madeBy,
-      madeAt: new Date().toISOString(),
-      changes: adjustment.changes
-    });
+      // Record the adjustment
+      plan.adjustments.push({
+        type: adjustment.type,
+        description: adjustment.description,
+        madeBy: adjustment.madeBy,
+        madeAt: new Date().toISOString(),
+        changes: adjustment.changes
+      });
 
-    // Apply the adjustment
-    if (adjustment.type === 'add_phase') {
-      plan.phases.splice(adjustment.insertAfter + 1, 0, adjustment.newPhase);
-      plan.totalTasks += adjustment.newPhase.tasks ? adjustment.newPhase.tasks.length : 1;
-    } else if (adjustment.type === 'modify_phase') {
-      plan.phases[adjustment.phaseIndex] = {
-        ...plan.phases[adjustment.phaseIndex],
-        ...adjustment.modifications
-      };
-    } else if (adjustment.type === 'reorder_phases') {
-      const [removed] = plan.phases.splice(adjustment.fromIndex, 1);
-      plan.phases.splice(adjustment.toIndex, 0, removed);
-    }
+      // Apply the adjustment
+      if (adjustment.type === 'add_phase') {
+        plan.phases.splice(adjustment.insertAfter + 1, 0, adjustment.newPhase);
+        plan.totalTasks += adjustment.newPhase.tasks ? adjustment.newPhase.tasks.length : 1;
+      } else if (adjustment.type === 'modify_phase') {
+        plan.phases[adjustment.phaseIndex] = {
+          ...plan.phases[adjustment.phaseIndex],
+          ...adjustment.modifications
+        };
+      } else if (adjustment.type === 'reorder_phases') {
+        const [removed] = plan.phases.splice(adjustment.fromIndex, 1);
+        plan.phases.splice(adjustment.toIndex, 0, removed);
+      }
 
-    await this.savePlans(plans);
-    return plan;
+      return plan;
+    });
   }
 
   async getNextPhase(planId) {
@@ -198,45 +185,44 @@ export class ProjectPlanManager {
     });
 
     plan.isAdHoc = true;
-    const plans = await this.loadPlans();
-    plans[plan.id] = plan;
-    await this.savePlans(plans);
+    await this.updatePlans(async (plans) => {
+      plans[plan.id] = plan;
+    });
     
     return plan;
   }
 
   async pauseCurrentPlan() {
-    const plans = await this.loadPlans();
-    const activePlan = Object.values(plans).find(p => p.status === 'active');
-    
-    if (activePlan) {
-      activePlan.status = 'paused';
-      activePlan.pausedAt = new Date().toISOString();
-      await this.savePlans(plans);
-    }
-    
-    return activePlan;
+    return await this.updatePlans(async (plans) => {
+      const activePlan = Object.values(plans).find(p => p.status === 'active');
+      
+      if (activePlan) {
+        activePlan.status = 'paused';
+        activePlan.pausedAt = new Date().toISOString();
+      }
+      
+      return activePlan;
+    });
   }
 
   async resumePlan(planId) {
-    const plans = await this.loadPlans();
-    
-    // Pause any currently active plans
-    Object.values(plans).forEach(p => {
-      if (p.status === 'active') {
-        p.status = 'paused';
-        p.pausedAt = new Date().toISOString();
+    return await this.updatePlans(async (plans) => {
+      // Pause any currently active plans
+      Object.values(plans).forEach(p => {
+        if (p.status === 'active') {
+          p.status = 'paused';
+          p.pausedAt = new Date().toISOString();
+        }
+      });
+      
+      // Resume the specified plan
+      if (plans[planId]) {
+        plans[planId].status = 'active';
+        plans[planId].resumedAt = new Date().toISOString();
+        return plans[planId];
       }
+      
+      return null;
     });
-    
-    // Resume the specified plan
-    if (plans[planId]) {
-      plans[planId].status = 'active';
-      plans[planId].resumedAt = new Date().toISOString();
-      await this.savePlans(plans);
-      return plans[planId];
-    }
-    
-    return null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,130 @@
+import { EventEmitter } from 'events';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createStorage } from './storage/index.js';
+import { Workspace } from './workspace.js';
+import { TaskQueue, resolveTaskQueueOptions } from './taskQueue.js';
+import { ProjectState } from './projectState.js';
+import { CommunicationLogger } from './logger.js';
+import { MissionManager } from './missionManager.js';
+import { AutonomousEngine } from './autonomousEngine.js';
+import { TicketManager } from './ticketManager.js';
+import { GitRepository } from './gitRepository.js';
+import { ContextManager } from './contextManager.js';
+import { LoopStateManager } from './loopStateManager.js';
+import { ProjectPlanManager } from './projectPlanManager.js';
+
+export const DEFAULT_PROJECT_ID = 'default';
+
+// Project IDs become directory names, so keep them to a safe character set
+export const PROJECT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Resources of the default project keep their unprefixed URIs
+export function projectResourceUri(projectId, resourcePath) {
+  return projectId === DEFAULT_PROJECT_ID
+    ? `ai-collab://${resourcePath}`
+    : `ai-collab://projects/${projectId}/${resourcePath}`;
+}
+
+// Emits projectLoaded with the manager bundle the first time a project is used
+export class ProjectRegistry extends EventEmitter {
+  constructor(workspace, roleManager, storageDriver) {
+    super();
+    this.workspace = workspace;
+    this.roleManager = roleManager;
+    this.storageDriver = storageDriver;
+    this.projects = new Map();
+  }
+
+  async get(projectId) {
+    const id = projectId || DEFAULT_PROJECT_ID;
+    if (!PROJECT_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid projectId "${id}": use letters, digits, "-" and "_"`);
+    }
+
+    // Cache the pending promise so concurrent first calls share one set of managers
+    if (!this.projects.has(id)) {
+      const pending = this.createProject(id).then((project) => {
+        this.emit('projectLoaded', project);
+        return project;
+      });
+      this.projects.set(id, pending);
+      pending.catch(() => this.projects.delete(id));
+    }
+
+    return await this.projects.get(id);
+  }
+
+  // A project listed under `projects` in config/project.json with its own
+  // `path` gets a fully separate workspace; any other name is nested under
+  // the server's workspace
+  async resolveWorkspace(projectId) {
+    if (projectId === DEFAULT_PROJECT_ID) {
+      return this.workspace;
+    }
+
+    const config = await this.workspace.loadConfig('project.json');
+    const projectPath = config.projects?.[projectId]?.path;
+    return projectPath ? new Workspace(projectPath) : this.workspace.forProject(projectId);
+  }
+
+  async createProject(projectId) {
+    const workspace = await this.resolveWorkspace(projectId);
+    const storage = await createStorage({ driver: this.storageDriver, dataDir: workspace.dataDir });
+
+    const config = await workspace.loadConfig('project.json');
+    const taskQueue = new TaskQueue(storage, resolveTaskQueueOptions(config, process.env, this.roleManager.getAllRoles()));
+    // The project's code lives in the workspace root, or at projectPath when
+    // the server runs without a workspace
+    const repository = new GitRepository(workspace.isolated ? workspace.root : config.projectPath || null, {
+      // The server's own state never belongs in a task's diff
+      exclude: workspace.isolated ? [workspace.stateDir] : [workspace.dataDir, workspace.logsDir],
+    });
+    taskQueue.repository = repository;
+    const projectState = new ProjectState(storage);
+    const logger = new CommunicationLogger(workspace.logsDir);
+    const missionManager = new MissionManager(taskQueue, this.roleManager, storage);
+    taskQueue.missionApprovalPolicy = task => missionManager.getApprovalPolicyForTask(task);
+    const autonomousEngine = new AutonomousEngine(taskQueue, missionManager, this.roleManager);
+    const ticketManager = new TicketManager(storage, workspace);
+    const contextManager = new ContextManager(projectState, taskQueue, missionManager, ticketManager, storage);
+    const loopStateManager = new LoopStateManager(storage);
+    const projectPlanManager = new ProjectPlanManager(storage);
+
+    await loopStateManager.init();
+
+    return {
+      projectId,
+      workspace,
+      storage,
+      roleManager: this.roleManager,
+      taskQueue,
+      repository,
+      projectState,
+      logger,
+      missionManager,
+      autonomousEngine,
+      ticketManager,
+      contextManager,
+      loopStateManager,
+      projectPlanManager,
+    };
+  }
+
+  // Projects configured in config/project.json, found on disk, or loaded
+  async listProjects() {
+    const ids = new Set([DEFAULT_PROJECT_ID, ...this.projects.keys()]);
+
+    const config = await this.workspace.loadConfig('project.json');
+    Object.keys(config.projects || {}).forEach(id => ids.add(id));
+
+    try {
+      const entries = await fs.readdir(path.join(this.workspace.dataDir, 'projects'), { withFileTypes: true });
+      entries.filter(entry => entry.isDirectory()).forEach(entry => ids.add(entry.name));
+    } catch {
+      // No named projects created yet
+    }
+
+    return Array.from(ids).filter(id => PROJECT_ID_PATTERN.test(id)).sort();
+  }
+}
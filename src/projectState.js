@@ -1,81 +1,61 @@
-import { promises as fs } from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
-
 export class ProjectState {
-  constructor() {
-    this.stateFile = path.join(DATA_DIR, 'project-state.json');
+  constructor(storage) {
+    this.store = storage.open('project-state', () => ({
+      components: {},
+      architecture: {
+        decisions: [],
+        patterns: [],
+        dependencies: {},
+      },
+      codeStandards: {
+        conventions: [],
+        linting: {},
+        formatting: {},
+      },
+      metadata: {
+        createdAt: new Date().toISOString(),
+        lastUpdated: new Date().toISOString(),
+        version: '1.0.0',
+      },
+    }));
     this.initializeState();
   }
 
   async initializeState() {
     try {
-      await fs.mkdir(DATA_DIR, { recursive: true });
-      
       // Initialize state file if it doesn't exist
-      try {
-        await fs.access(this.stateFile);
-      } catch {
-        await this.saveState({
-          components: {},
-          architecture: {
-            decisions: [],
-            patterns: [],
-            dependencies: {},
-          },
-          codeStandards: {
-            conventions: [],
-            linting: {},
-            formatting: {},
-          },
-          metadata: {
-            createdAt: new Date().toISOString(),
-            lastUpdated: new Date().toISOString(),
-            version: '1.0.0',
-          },
-        });
-      }
+      await this.store.ensure();
     } catch (error) {
       console.error('Failed to initialize project state:', error);
     }
   }
 
   async loadState() {
-    try {
-      const data = await fs.readFile(this.stateFile, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      return {
-        components: {},
-        architecture: { decisions: [], patterns: [], dependencies: {} },
-        codeStandards: { conventions: [], linting: {}, formatting: {} },
-        metadata: {
-          createdAt: new Date().toISOString(),
-          lastUpdated: new Date().toISOString(),
-          version: '1.0.0',
-        },
-      };
-    }
+    return await this.store.read();
   }
 
   async saveState(state) {
     state.metadata.lastUpdated = new Date().toISOString();
-    await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+    await this.store.write(state);
+  }
+
+  // Run a load-mutate-commit cycle against the project state store under its lock
+  async updateState(mutator) {
+    return await this.store.transaction(async (state) => {
+      const result = await mutator(state);
+      state.metadata.lastUpdated = new Date().toISOString();
+      return result;
+    });
   }
 
   async updateComponent(componentName, componentState) {
-    const state = await this.loadState();
-    
-    state.components[componentName] = {
-      ...state.components[componentName],
-      ...componentState,
-      lastUpdated: new Date().toISOString(),
-    };
-    
-    await this.saveState(state);
+    await this.updateState(async (state) => {
+      state.components[componentName] = {
+        ...state.components[componentName],
+        ...componentState,
+        lastUpdated: new Date().toISOString(),
+      };
+    });
   }
 
   async getComponent(componentName) {
@@ -89,35 +69,29 @@ export class ProjectState {
   }
 
   async addArchitecturalDecision(decision) {
-    const state = await this.loadState();
-    
-    state.architecture.decisions.push({
-      ...decision,
-      timestamp: new Date().toISOString(),
-      id: `AD-${Date.now()}`,
+    await this.updateState(async (state) => {
+      state.architecture.decisions.push({
+        ...decision,
+        timestamp: new Date().toISOString(),
+        id: `AD-${Date.now()}`,
+      });
     });
-    
-    await this.saveState(state);
   }
 
   async updateDependencies(component, dependencies) {
-    const state = await this.loadState();
-    
-    state.architecture.dependencies[component] = dependencies;
-    
-    await this.saveState(state);
+    await this.updateState(async (state) => {
+      state.architecture.dependencies[component] = dependencies;
+    });
   }
 
   async addCodeStandard(standard) {
-    const state = await this.loadState();
-    
-    state.codeStandards.conventions.push({
-      ...standard,
-      timestamp: new Date().toISOString(),
-      id: `CS-${Date.now()}`,
+    await this.updateState(async (state) => {
+      state.codeStandards.conventions.push({
+        ...standard,
+        timestamp: new Date().toISOString(),
+        id: `CS-${Date.now()}`,
+      });
     });
-    
-    await this.saveState(state);
   }
 
   async getFullState() {
@@ -1,25 +1,25 @@
 import { promises as fs } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const CONFIG_DIR = path.join(__dirname, '..', 'config');
+import { JsonFileStore } from './storage/index.js';
 
 export class RoleManager {
-  constructor() {
+  constructor(workspace) {
+    this.workspace = workspace;
     this.roles = null;
     this.agents = null;
+    // Changes are always written to the workspace, never the bundled defaults
+    this.agentsStore = new JsonFileStore(path.join(workspace.configDir, 'agents.json'));
     this.loadConfigurations();
   }
 
   async loadConfigurations() {
     try {
       // Load roles configuration
-      const rolesData = await fs.readFile(path.join(CONFIG_DIR, 'roles.json'), 'utf8');
+      const rolesData = await fs.readFile(await this.workspace.resolveConfigFile('roles.json'), 'utf8');
       this.roles = JSON.parse(rolesData);
 
       // Load agents configuration
-      const agentsData = await fs.readFile(path.join(CONFIG_DIR, 'agents.json'), 'utf8');
+      const agentsData = await fs.readFile(await this.workspace.resolveConfigFile('agents.json'), 'utf8');
       this.agents = JSON.parse(agentsData);
     } catch (error) {
       console.error('Failed to load role configurations:', error);
@@ -74,10 +74,7 @@ export class RoleManager {
     };
 
     // Save updated configuration
-    await fs.writeFile(
-      path.join(CONFIG_DIR, 'agents.json'),
-      JSON.stringify(this.agents, null, 2)
-    );
+    await this.agentsStore.write(this.agents);
   }
 
   async switchConfiguration(configName) {
@@ -86,26 +83,27 @@ export class RoleManager {
       throw new Error(`Unknown configuration: ${configName}`);
     }
 
-    // Apply the configuration
-    for (const [agent, role] of Object.entries(config)) {
-      if (agent !== 'additional_agents') {
-        this.agents.agents[agent].role = role;
-      }
+    // Apply the configuration; additional agents are added if missing so
+    // tasks can be assigned to them
+    const { additional_agents: additionalAgents = {}, ...assignments } = config;
+    for (const [agent, role] of Object.entries({ ...assignments, ...additionalAgents })) {
+      this.agents.agents[agent] = { ...this.agents.agents[agent], role };
     }
 
     this.agents.active_configuration = configName;
 
     // Save updated configuration
-    await fs.writeFile(
-      path.join(CONFIG_DIR, 'agents.json'),
-      JSON.stringify(this.agents, null, 2)
-    );
+    await this.agentsStore.write(this.agents);
   }
 
   getAllRoles() {
     return Object.keys(this.roles);
   }
 
+  getAllAgents() {
+    return Object.keys(this.agents.agents || {});
+  }
+
   getActiveConfiguration() {
     return {
       name: this.agents.active_configuration,
@@ -0,0 +1,90 @@
+// Checks tool arguments against the subset of JSON Schema the tool
+// definitions use: type, enum, required, properties, items,
+// additionalProperties and pattern. Returns a list of readable errors.
+export function validateSchema(schema, value, location = 'arguments') {
+  if (!schema) {
+    return [];
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    return [`${location} must be ${withArticle(expected)} (got ${describeType(value)})`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${location} must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`];
+  }
+
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    return [`${location} must match ${schema.pattern}`];
+  }
+
+  const errors = [];
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${location}[${index}]`));
+    });
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null) {
+        errors.push(`${joinPath(location, field)} is required`);
+      }
+    }
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (fieldValue === undefined || fieldValue === null) continue;
+
+      if (properties[field]) {
+        errors.push(...validateSchema(properties[field], fieldValue, joinPath(location, field)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${joinPath(location, field)} is not a recognized field`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  if (Array.isArray(type)) {
+    return type.some(option => matchesType(option, value));
+  }
+
+  switch (type) {
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function joinPath(location, field) {
+  return location === 'arguments' ? field : `${location}.${field}`;
+}
@@ -0,0 +1,170 @@
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Tail of the pending-operation chain for each file. Every store pointing at
+// the same path shares this entry, so writers from different managers queue
+// behind each other instead of interleaving their read-modify-write cycles.
+const fileLocks = new Map();
+let tempCounter = 0;
+
+// Each stdio agent runs its own server process, so the in-process queue is
+// backed by a lock file that other processes respect as well. The lock file
+// holds { pid, token, at } and its holder touches it every
+// LOCK_REFRESH_MS, however long the transaction takes.
+const LOCK_RETRY_MS = 20;
+const LOCK_REFRESH_MS = 2000;
+const LOCK_STALE_MS = 10000;
+// A lock whose owner still seems alive but hasn't refreshed it for this long
+// belongs to a hung process or to a pid that has been reused
+const LOCK_ABANDONED_MS = 60000;
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// The lock file's owner and age, or null when there is no lock file
+async function readLockFile(lockFile) {
+  try {
+    const [contents, stats] = await Promise.all([fs.readFile(lockFile, 'utf8'), fs.stat(lockFile)]);
+    let owner = null;
+    try {
+      owner = JSON.parse(contents);
+    } catch {
+      // Created but not written yet, or left half-written by a crash
+    }
+    return { owner, age: Date.now() - stats.mtimeMs };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function isStale({ owner, age }) {
+  if (!owner?.pid) {
+    return age > LOCK_STALE_MS;
+  }
+  return !isProcessAlive(owner.pid) || age > LOCK_ABANDONED_MS;
+}
+
+// Removes the lock file only if it still belongs to `token`: the file is
+// moved aside first, so a lock someone else created in the meantime is
+// never deleted, and put back if it turns out not to be ours. Returns
+// whether the lock was removed.
+async function removeLockFile(lockFile, token) {
+  const aside = `${lockFile}.${process.pid}.${tempCounter++}.tmp`;
+  try {
+    await fs.rename(lockFile, aside);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  const moved = await readLockFile(aside);
+  if ((moved?.owner?.token ?? null) === token) {
+    await fs.rm(aside, { force: true });
+    return true;
+  }
+  // link fails instead of replacing a lock created since the rename
+  await fs.link(aside, lockFile).catch(() => {});
+  await fs.rm(aside, { force: true });
+  return false;
+}
+
+// Returns the token that identifies this holder of the lock
+async function acquireLockFile(lockFile) {
+  const token = randomUUID();
+  for (;;) {
+    try {
+      const handle = await fs.open(lockFile, 'wx');
+      try {
+        await handle.writeFile(JSON.stringify({ pid: process.pid, token, at: new Date().toISOString() }));
+      } finally {
+        await handle.close();
+      }
+      return token;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await fs.mkdir(path.dirname(lockFile), { recursive: true });
+        continue;
+      }
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // Break the lock if its owner died without releasing it
+    const lock = await readLockFile(lockFile);
+    if (!lock) {
+      continue;
+    }
+    if (isStale(lock)) {
+      await removeLockFile(lockFile, lock.owner?.token ?? null);
+      continue;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+}
+
+// Keeps the lock file's mtime fresh so waiters don't take it for stale
+function refreshLockFile(lockFile) {
+  const timer = setInterval(() => {
+    const now = new Date();
+    fs.utimes(lockFile, now, now).catch(() => {});
+  }, LOCK_REFRESH_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+export async function withFileLock(filePath, fn) {
+  const key = path.resolve(filePath);
+  const previous = fileLocks.get(key) || Promise.resolve();
+
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  fileLocks.set(key, tail);
+
+  await previous;
+  const lockFile = `${key}.lock`;
+  try {
+    const token = await acquireLockFile(lockFile);
+    const stopRefreshing = refreshLockFile(lockFile);
+    try {
+      return await fn();
+    } finally {
+      stopRefreshing();
+      await removeLockFile(lockFile, token);
+    }
+  } finally {
+    release();
+    // Drop the entry once nobody else is queued behind us
+    if (fileLocks.get(key) === tail) {
+      fileLocks.delete(key);
+    }
+  }
+}
+
+export async function writeFileAtomic(filePath, contents) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write next to the target so the rename stays on the same filesystem
+  const tempFile = `${filePath}.${process.pid}.${Date.now()}.${tempCounter++}.tmp`;
+  try {
+    await fs.writeFile(tempFile, contents);
+    await fs.rename(tempFile, filePath);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
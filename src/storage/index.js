@@ -0,0 +1,48 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { JsonStorage } from './jsonStorage.js';
+import { SqliteStorage } from './sqliteStorage.js';
+
+export { withFileLock, writeFileAtomic } from './fileLock.js';
+export { JsonFileStore } from './jsonStorage.js';
+
+// Logical stores shared by every driver. Keyed stores are maps of records by
+// ID; the SQLite driver keeps them one row per record so a change to a single
+// task doesn't rewrite the rest.
+export const STORES = {
+  tasks: { file: 'tasks.json', keyed: true },
+  'task-sequence': { file: 'task-sequence.json' },
+  missions: { file: 'missions.json', keyed: true },
+  'project-plans': { file: 'project-plans.json', keyed: true },
+  'loop-states': { file: 'loop-states.json', keyed: true },
+  'project-state': { file: 'project-state.json' },
+  tickets: { file: path.join('tickets', 'tickets.json') },
+  context: { file: path.join('context', 'project-context.json') },
+};
+
+export const STORAGE_DRIVERS = ['json', 'sqlite'];
+
+// AI_COLLAB_STORAGE wins over `storage.driver` in config/project.json
+export async function resolveStorageDriver(projectConfigFile) {
+  if (process.env.AI_COLLAB_STORAGE) {
+    return process.env.AI_COLLAB_STORAGE;
+  }
+
+  try {
+    const config = JSON.parse(await fs.readFile(projectConfigFile, 'utf8'));
+    return config.storage?.driver || 'json';
+  } catch {
+    return 'json';
+  }
+}
+
+export async function createStorage({ driver = 'json', dataDir }) {
+  switch (driver) {
+    case 'json':
+      return new JsonStorage(dataDir, STORES);
+    case 'sqlite':
+      return await SqliteStorage.open(dataDir, STORES);
+    default:
+      throw new Error(`Unknown storage driver: ${driver} (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+}
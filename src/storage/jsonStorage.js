@@ -0,0 +1,90 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { withFileLock, writeFileAtomic } from './fileLock.js';
+
+export function matchesWhere(record, where) {
+  return Object.entries(where).every(([field, value]) =>
+    Array.isArray(value) ? value.includes(record[field]) : record[field] === value
+  );
+}
+
+export class JsonFileStore {
+  constructor(filePath, defaultValue = () => ({})) {
+    this.filePath = filePath;
+    this.defaultValue = defaultValue;
+  }
+
+  createDefault() {
+    return typeof this.defaultValue === 'function'
+      ? this.defaultValue()
+      : structuredClone(this.defaultValue);
+  }
+
+  async read() {
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.createDefault();
+      }
+      // A corrupt file must not be treated as empty, or the next commit
+      // would silently replace it with the default value
+      throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  async write(data) {
+    await withFileLock(this.filePath, () =>
+      writeFileAtomic(this.filePath, JSON.stringify(data, null, 2))
+    );
+  }
+
+  // Create the file with its default contents if it doesn't exist yet
+  async ensure() {
+    await withFileLock(this.filePath, async () => {
+      try {
+        await fs.access(this.filePath);
+      } catch {
+        await writeFileAtomic(this.filePath, JSON.stringify(this.createDefault(), null, 2));
+      }
+    });
+  }
+
+  // Load, mutate and commit while holding the file lock. The mutator edits
+  // the loaded data in place; its return value is passed back to the caller.
+  // If the mutator throws, nothing is written.
+  async transaction(mutator) {
+    return withFileLock(this.filePath, async () => {
+      const data = await this.read();
+      const result = await mutator(data);
+      await writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+      return result;
+    });
+  }
+
+  // Records of a keyed store matching every field in `where` (arrays match any
+  // of their values). Loads the whole file; the SQLite driver uses indexes.
+  async find(where = {}) {
+    const records = await this.read();
+    return Object.values(records).filter(record => matchesWhere(record, where));
+  }
+}
+
+export class JsonStorage {
+  constructor(dataDir, stores) {
+    this.driver = 'json';
+    this.dataDir = dataDir;
+    this.stores = stores;
+  }
+
+  open(name, defaultValue) {
+    const definition = this.stores[name];
+    if (!definition) {
+      throw new Error(`Unknown store: ${name}`);
+    }
+    return new JsonFileStore(path.join(this.dataDir, definition.file), defaultValue);
+  }
+
+  async close() {}
+}
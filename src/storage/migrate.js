@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Imports the JSON data files into the SQLite database in the same data
+// directory, for the default project and every named one. Usage:
+// npm run migrate:sqlite [-- --workspace <dir>]
+import { createStorage, STORES } from './index.js';
+import { ProjectRegistry } from '../projectRegistry.js';
+import { Workspace, resolveWorkspaceRoot } from '../workspace.js';
+
+async function migrate(projectId, dataDir) {
+  const source = await createStorage({ driver: 'json', dataDir });
+  const documents = [];
+  for (const [name, definition] of Object.entries(STORES)) {
+    documents.push([name, definition, await source.open(name, () => null).read()]);
+  }
+
+  console.log(`Migrating JSON data of project ${projectId} in ${dataDir} to SQLite...`);
+  if (documents.every(([, , data]) => data === null)) {
+    console.log('- no JSON data, skipped');
+    return;
+  }
+
+  const target = await createStorage({ driver: 'sqlite', dataDir });
+  try {
+    for (const [name, definition, data] of documents) {
+      if (data === null) {
+        console.log(`- ${name}: no ${definition.file}, skipped`);
+        continue;
+      }
+
+      await target.open(name).write(data);
+
+      const imported = definition.keyed
+        ? `${Object.keys(data).length} record(s)`
+        : 'document';
+      console.log(`- ${name}: imported ${imported}`);
+    }
+  } finally {
+    await target.close();
+  }
+}
+
+// Named projects keep their data in data/projects/<id>, or in the workspace
+// of their own `path`
+async function migrateAll(root) {
+  const registry = new ProjectRegistry(new Workspace(root), null, 'json');
+  const migrated = new Set();
+  for (const projectId of await registry.listProjects()) {
+    const { dataDir } = await registry.resolveWorkspace(projectId);
+    if (!migrated.has(dataDir)) {
+      migrated.add(dataDir);
+      await migrate(projectId, dataDir);
+    }
+  }
+
+  console.log('Done. Start the server with AI_COLLAB_STORAGE=sqlite or set "storage": { "driver": "sqlite" } in config/project.json.');
+}
+
+resolveWorkspaceRoot()
+  .then(migrateAll)
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,232 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { withFileLock } from './fileLock.js';
+import { matchesWhere } from './jsonStorage.js';
+
+const DATABASE_FILE = 'ai-collab.db';
+
+// Record fields promoted to indexed columns in keyed stores
+const INDEXED_COLUMNS = {
+  status: 'status',
+  priority: 'priority',
+  missionId: 'mission_id',
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    store TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS records (
+    store TEXT NOT NULL,
+    id TEXT NOT NULL,
+    status TEXT,
+    priority TEXT,
+    mission_id TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (store, id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_records_status ON records (store, status);
+  CREATE INDEX IF NOT EXISTS idx_records_priority ON records (store, priority);
+  CREATE INDEX IF NOT EXISTS idx_records_mission ON records (store, mission_id);
+`;
+
+async function loadDatabaseClass() {
+  try {
+    const { default: Database } = await import('better-sqlite3');
+    return Database;
+  } catch (error) {
+    throw new Error(
+      `The sqlite storage driver needs the optional "better-sqlite3" package (${error.message}). ` +
+      'Install it with `npm install better-sqlite3` or switch back to the json driver.'
+    );
+  }
+}
+
+export class SqliteStore {
+  constructor(storage, name, definition, defaultValue = () => ({})) {
+    this.storage = storage;
+    this.db = storage.db;
+    this.name = name;
+    this.keyed = Boolean(definition.keyed);
+    this.defaultValue = defaultValue;
+    // Serializes read-modify-write cycles on this store across processes,
+    // the same way the JSON driver locks each file
+    this.lockPath = path.join(storage.dataDir, 'locks', name);
+  }
+
+  createDefault() {
+    return typeof this.defaultValue === 'function'
+      ? this.defaultValue()
+      : structuredClone(this.defaultValue);
+  }
+
+  // Returns the current value plus the serialized form of each record, which
+  // commit() compares against so only changed rows are written back
+  load() {
+    if (this.keyed) {
+      const rows = this.db
+        .prepare('SELECT id, data FROM records WHERE store = ?')
+        .all(this.name);
+      if (rows.length === 0) {
+        return { data: this.createDefault(), snapshot: new Map() };
+      }
+
+      const data = {};
+      const snapshot = new Map();
+      for (const row of rows) {
+        data[row.id] = JSON.parse(row.data);
+        snapshot.set(row.id, row.data);
+      }
+      return { data, snapshot };
+    }
+
+    const row = this.db
+      .prepare('SELECT data FROM documents WHERE store = ?')
+      .get(this.name);
+    return {
+      data: row ? JSON.parse(row.data) : this.createDefault(),
+      snapshot: row ? row.data : null,
+    };
+  }
+
+  commit(data, snapshot) {
+    if (!this.keyed) {
+      const serialized = JSON.stringify(data);
+      if (serialized !== snapshot) {
+        this.db
+          .prepare('INSERT INTO documents (store, data) VALUES (?, ?) ON CONFLICT (store) DO UPDATE SET data = excluded.data')
+          .run(this.name, serialized);
+      }
+      return;
+    }
+
+    const upsert = this.db.prepare(`
+      INSERT INTO records (store, id, status, priority, mission_id, data)
+      VALUES (@store, @id, @status, @priority, @missionId, @data)
+      ON CONFLICT (store, id) DO UPDATE SET
+        status = excluded.status,
+        priority = excluded.priority,
+        mission_id = excluded.mission_id,
+        data = excluded.data
+    `);
+    const remove = this.db.prepare('DELETE FROM records WHERE store = ? AND id = ?');
+
+    this.db.transaction(() => {
+      for (const [id, record] of Object.entries(data)) {
+        const serialized = JSON.stringify(record);
+        if (snapshot.get(id) === serialized) continue;
+
+        upsert.run({
+          store: this.name,
+          id,
+          status: record?.status ?? null,
+          priority: record?.priority ?? null,
+          missionId: record?.missionId ?? null,
+          data: serialized,
+        });
+      }
+
+      for (const id of snapshot.keys()) {
+        if (!(id in data)) {
+          remove.run(this.name, id);
+        }
+      }
+    })();
+  }
+
+  async read() {
+    return this.load().data;
+  }
+
+  async write(data) {
+    await withFileLock(this.lockPath, async () => {
+      const { snapshot } = this.load();
+      this.commit(data, snapshot);
+    });
+  }
+
+  async ensure() {
+    if (this.keyed) return;
+
+    this.db
+      .prepare('INSERT OR IGNORE INTO documents (store, data) VALUES (?, ?)')
+      .run(this.name, JSON.stringify(this.createDefault()));
+  }
+
+  async transaction(mutator) {
+    return withFileLock(this.lockPath, async () => {
+      const { data, snapshot } = this.load();
+      const result = await mutator(data);
+      this.commit(data, snapshot);
+      return result;
+    });
+  }
+
+  // Indexed fields are filtered in SQL; anything else falls back to matching
+  // the decoded records
+  async find(where = {}) {
+    if (!this.keyed) {
+      throw new Error(`Store ${this.name} is not a keyed store`);
+    }
+
+    const clauses = ['store = ?'];
+    const params = [this.name];
+    const remaining = {};
+
+    for (const [field, value] of Object.entries(where)) {
+      const column = INDEXED_COLUMNS[field];
+      if (!column) {
+        remaining[field] = value;
+        continue;
+      }
+
+      const values = Array.isArray(value) ? value : [value];
+      clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+
+    const rows = this.db
+      .prepare(`SELECT data FROM records WHERE ${clauses.join(' AND ')}`)
+      .all(...params);
+
+    return rows
+      .map(row => JSON.parse(row.data))
+      .filter(record => matchesWhere(record, remaining));
+  }
+}
+
+export class SqliteStorage {
+  constructor(db, dataDir, stores) {
+    this.driver = 'sqlite';
+    this.db = db;
+    this.dataDir = dataDir;
+    this.stores = stores;
+  }
+
+  static async open(dataDir, stores) {
+    const Database = await loadDatabaseClass();
+    await fs.mkdir(dataDir, { recursive: true });
+
+    const db = new Database(path.join(dataDir, DATABASE_FILE));
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(SCHEMA);
+
+    return new SqliteStorage(db, dataDir, stores);
+  }
+
+  open(name, defaultValue) {
+    const definition = this.stores[name];
+    if (!definition) {
+      throw new Error(`Unknown store: ${name}`);
+    }
+    return new SqliteStore(this, name, definition, defaultValue);
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
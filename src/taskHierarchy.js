@@ -0,0 +1,56 @@
+import { TERMINAL_STATUSES } from './taskLifecycle.js';
+
+// Parent/child links over a task map ({ [taskId]: task }). A parent lists its
+// children in subtasks; each child names its parent in parentId.
+
+// Direct subtasks of taskId that are neither completed nor cancelled
+export function openSubtasks(tasks, taskId) {
+  return (tasks[taskId]?.subtasks || []).filter(subtaskId =>
+    !TERMINAL_STATUSES.includes(tasks[subtaskId]?.status)
+  );
+}
+
+// Replaces every task that has subtasks with the tasks at the bottom of its
+// tree, once each. IDs without a task are kept so callers can count them.
+export function leafTaskIds(tasks, taskIds) {
+  const leaves = [];
+  const seen = new Set();
+
+  const visit = (taskId) => {
+    if (seen.has(taskId)) return;
+    seen.add(taskId);
+
+    const subtasks = tasks[taskId]?.subtasks || [];
+    if (subtasks.length === 0) {
+      leaves.push(taskId);
+      return;
+    }
+    subtasks.forEach(visit);
+  };
+
+  taskIds.forEach(visit);
+  return leaves;
+}
+
+// Roll-up of the leaf work under taskId, or null if it has no subtasks.
+// Cancelled leaves don't count towards percentComplete.
+export function subtaskProgress(tasks, taskId) {
+  const subtasks = tasks[taskId]?.subtasks || [];
+  if (subtasks.length === 0) {
+    return null;
+  }
+
+  const leaves = leafTaskIds(tasks, subtasks).map(leafId => tasks[leafId]);
+  const completed = leaves.filter(task => task?.status === 'completed').length;
+  const cancelled = leaves.filter(task => task?.status === 'cancelled').length;
+  const counted = leaves.length - cancelled;
+
+  return {
+    subtasks: subtasks.length,
+    leafTasks: leaves.length,
+    completed,
+    cancelled,
+    open: counted - completed,
+    percentComplete: counted > 0 ? Math.round((completed / counted) * 100) : 100,
+  };
+}
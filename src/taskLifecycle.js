@@ -0,0 +1,44 @@
+// Task status state machine. Every status change goes through transitionTask,
+// which rejects moves the lifecycle doesn't allow and appends
+// { from, to, actor, reason, at } to the task's history. Which of the moves
+// out of in_progress, in_review and in_verification a task takes depends on
+// the next stage of its workflow (workflow.js).
+
+export const TASK_TRANSITIONS = {
+  pending: ['available', 'blocked', 'cancelled', 'on_hold'],
+  available: ['blocked', 'in_progress', 'cancelled', 'on_hold'],
+  blocked: ['available', 'cancelled', 'on_hold'],
+  in_progress: ['in_review', 'in_verification', 'available', 'completed', 'cancelled', 'on_hold'],
+  in_review: ['completed', 'in_verification', 'available', 'needs_revision', 'cancelled', 'on_hold'],
+  in_verification: ['completed', 'in_review', 'available', 'needs_revision', 'cancelled', 'on_hold'],
+  needs_revision: ['in_progress', 'cancelled', 'on_hold'],
+  on_hold: ['pending', 'available', 'blocked', 'in_progress', 'in_review', 'in_verification', 'needs_revision', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+export const TASK_STATUSES = Object.keys(TASK_TRANSITIONS);
+
+// Statuses a task never leaves
+export const TERMINAL_STATUSES = TASK_STATUSES.filter(status => TASK_TRANSITIONS[status].length === 0);
+
+export function canTransition(from, to) {
+  return TASK_TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+// Returns false when the task already has status `to`
+export function transitionTask(task, to, { actor = 'system', reason = null, at = new Date() } = {}) {
+  const from = task.status || 'pending';
+  if (from === to) {
+    return false;
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = TASK_TRANSITIONS[from]?.join(', ') || 'none';
+    throw new Error(`Task ${task.taskId} cannot move from ${from} to ${to} (allowed: ${allowed})`);
+  }
+
+  task.status = to;
+  task.history = [...(task.history || []), { from, to, actor, reason, at: at.toISOString() }];
+  return true;
+}
@@ -1,45 +1,183 @@
-import { promises as fs } from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { EventEmitter } from 'events';
+import { evaluateApproval, normalizeApprovalPolicy } from './approvalPolicy.js';
+import { buildDependencyGraph, findCycle, findDanglingDependencies } from './dependencyGraph.js';
+import { openSubtasks, subtaskProgress } from './taskHierarchy.js';
+import { TERMINAL_STATUSES, transitionTask } from './taskLifecycle.js';
+import { STAGE_ENTRY_STATUS, findStage, normalizeWorkflow } from './workflow.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
+// Statuses an agent can pick a task up from
+const CLAIMABLE_STATUSES = ['available', 'needs_revision'];
 
-export class TaskQueue {
-  constructor() {
-    this.tasksFile = path.join(DATA_DIR, 'tasks.json');
+// A dependency in one of these statuses no longer holds up its dependents.
+// A cancelled one still does until the dependency is dropped explicitly
+// (update_task or reset_task_dependencies), so its dependents never start
+// without the work they were waiting for.
+const RESOLVED_STATUSES = ['completed'];
+
+// A task can't be split once its own work has been submitted or closed
+const UNSPLITTABLE_STATUSES = ['in_review', 'in_verification', ...TERMINAL_STATUSES];
+
+// Directive fields update_task may change after a task was sent
+export const EDITABLE_FIELDS = ['priority', 'specification', 'requirements', 'acceptanceCriteria', 'dependsOn'];
+
+export const DEFAULT_LEASE_SECONDS = 900;
+
+export const DEFAULT_ID_PREFIX = 'TASK';
+
+// Statuses of a task being worked on in a work stage
+const WORKING_STATUSES = ['available', 'in_progress', 'needs_revision'];
+
+// How an approved task branch is brought into the integration branch
+const MERGE_MODES = ['merge', 'fastForward', 'none'];
+
+// `tasks.branches` gives every task a task/<taskId> branch; true or
+// { integrationBranch, merge }. Without an integration branch nothing is
+// merged.
+function normalizeBranchOptions(branches) {
+  const { integrationBranch = null, merge = 'merge' } = typeof branches === 'object' && branches ? branches : {};
+  if (!MERGE_MODES.includes(merge)) {
+    throw new Error(`tasks.branches.merge must be one of ${MERGE_MODES.join(', ')} (got ${merge})`);
+  }
+  return { enabled: Boolean(branches), integrationBranch, merge: integrationBranch ? merge : 'none' };
+}
+
+// AI_COLLAB_LEASE_SECONDS wins over `tasks.leaseSeconds` in config/project.json.
+// Generated task IDs use `tasks.idPrefix`; `tasks.requireResolvedThreads`
+// blocks approval while review comments are open; `tasks.approvalPolicy` is
+// the policy for tasks and missions that don't set their own;
+// `tasks.requireVerification` runs the workflow's verification stages, which
+// a custom `workflow` does by default and the built-in one doesn't;
+// `tasks.captureDiffs` stores the git diff of the project with each
+// submission and `tasks.branches` sets up task branches.
+// knownRoles, when given, are checked against the roles the config names.
+export function resolveTaskQueueOptions(config = {}, env = process.env, knownRoles = null) {
+  const leaseSeconds = Number(env.AI_COLLAB_LEASE_SECONDS || config.tasks?.leaseSeconds) || DEFAULT_LEASE_SECONDS;
+  const idPrefix = config.tasks?.idPrefix || DEFAULT_ID_PREFIX;
+  const requireResolvedThreads = Boolean(config.tasks?.requireResolvedThreads);
+  const approvalPolicy = normalizeApprovalPolicy(config.tasks?.approvalPolicy, knownRoles);
+  const requireVerification = Boolean(config.tasks?.requireVerification ?? config.workflow);
+  const workflow = normalizeWorkflow(config.workflow, knownRoles);
+  const captureDiffs = Boolean(config.tasks?.captureDiffs);
+  const branches = normalizeBranchOptions(config.tasks?.branches);
+  return { leaseSeconds, idPrefix, requireResolvedThreads, approvalPolicy, requireVerification, workflow, captureDiffs, branches };
+}
+
+// Review comment threads of every submission of a task
+function taskThreads(task) {
+  return (task.submissions || []).flatMap(submission => submission.threads || []);
+}
+
+function openThreads(task) {
+  return taskThreads(task).filter(thread => thread.status === 'open');
+}
+
+// Action items still open on a task, and those the latest submission says it
+// resolved, as { itemId, text } so a re-review can focus on them
+export function summarizeActionItems(task) {
+  const items = task.actionItems || [];
+  const latest = task.submissions?.length || 0;
+  const brief = ({ itemId, text }) => ({ itemId, text });
+  return {
+    open: items.filter(item => item.status === 'open').map(brief),
+    resolvedInLatest: items.filter(item => item.status === 'resolved' && item.resolvedIn === latest).map(brief),
+  };
+}
+
+function latestSubmission(task) {
+  return task.submissions?.[task.submissions.length - 1] || null;
+}
+
+const isEmpty = value => !value || Object.keys(value).length === 0;
+
+// Merge failures only the task's developer can fix; any other failure is a
+// problem with the repository (a dirty worktree, no git identity) that
+// leaves the task approved until the merge is retried
+const REWORK_MERGE_REASONS = ['conflicts', 'diverged'];
+
+// What the developer has to do after a task branch failed to merge
+function mergeActionItem({ branch, into, reason, conflicts }) {
+  return reason === 'conflicts'
+    ? `Resolve merge conflicts with ${into} in ${conflicts.join(', ')}`
+    : `Rebase ${branch} onto ${into}, which has moved on`;
+}
+
+// Checks for the STAGE_CONDITIONS a workflow stage can require on entry or
+// exit; each returns what is missing, or null
+const STAGE_CONDITION_CHECKS = {
+  dependenciesResolved: (task, tasks) => {
+    const unresolved = (task.dependsOn || []).filter(id => !RESOLVED_STATUSES.includes(tasks[id]?.status))
+      .map(id => tasks[id]?.status === 'cancelled' ? `${id} (cancelled)` : id);
+    return unresolved.length > 0 ? `unresolved dependencies: ${unresolved.join(', ')}` : null;
+  },
+  subtasksClosed: (task, tasks) => {
+    const open = openSubtasks(tasks, task.taskId);
+    return open.length > 0 ? `open subtasks: ${open.join(', ')}` : null;
+  },
+  threadsResolved: (task) => {
+    const open = openThreads(task);
+    return open.length > 0 ? `unresolved review comments: ${open.map(thread => thread.commentId).join(', ')}` : null;
+  },
+  actionItemsResolved: (task) => {
+    const { open } = summarizeActionItems(task);
+    return open.length > 0 ? `open action items: ${open.map(item => item.itemId).join(', ')}` : null;
+  },
+  filesListed: (task) => isEmpty(latestSubmission(task)?.files) ? 'the latest submission lists no files' : null,
+  testResultsRecorded: (task) => isEmpty(latestSubmission(task)?.testResults) ? 'the latest submission has no test results' : null,
+};
+
+// Emits taskCreated, taskSubmitted, reviewPosted, taskVerified,
+// taskCompleted, taskStatusChanged, taskUpdated, threadUpdated, questionAsked
+// and questionAnswered once each change has been written
+export class TaskQueue extends EventEmitter {
+  constructor(storage, {
+    leaseSeconds = DEFAULT_LEASE_SECONDS,
+    idPrefix = DEFAULT_ID_PREFIX,
+    requireResolvedThreads = false,
+    approvalPolicy = normalizeApprovalPolicy(),
+    requireVerification = false,
+    workflow = normalizeWorkflow(),
+    captureDiffs = false,
+    branches = normalizeBranchOptions(),
+  } = {}) {
+    super();
+    this.storage = storage;
+    this.leaseSeconds = leaseSeconds;
+    this.idPrefix = idPrefix;
+    this.requireResolvedThreads = requireResolvedThreads;
+    this.approvalPolicy = approvalPolicy;
+    this.requireVerification = requireVerification;
+    this.workflow = workflow;
+    this.captureDiffs = captureDiffs;
+    this.branches = branches;
+    // Looks up the approval policy of a task's mission; set by the project
+    // registry once the mission manager exists
+    this.missionApprovalPolicy = async () => null;
+    // The project's GitRepository, used for diffs and task branches; set by
+    // the project registry
+    this.repository = null;
+    this.store = storage.open('tasks', () => ({}));
+    // Next task number per ID prefix
+    this.sequence = storage.open('task-sequence', () => ({}));
     this.initializeDataDir();
   }
 
   async initializeDataDir() {
     try {
-      await fs.mkdir(DATA_DIR, { recursive: true });
-      
-      // Initialize tasks file if it doesn't exist
-      try {
-        await fs.access(this.tasksFile);
-      } catch {
-        await this.saveTasks({});
-      }
+      await this.store.ensure();
     } catch (error) {
       console.error('Failed to initialize data directory:', error);
     }
   }
 
   async loadTasks() {
-    try {
-      const data = await fs.readFile(this.tasksFile, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      return {};
-    }
+    return await this.store.read();
   }
 
   async saveTasks(tasks) {
     try {
       // Log when we're about to save tasks
       const taskCount = Object.keys(tasks).length;
-      console.log(`Saving ${taskCount} tasks to ${this.tasksFile}`);
+      console.log(`Saving ${taskCount} tasks to ${this.storage.driver} storage`);
       
       // Ensure we're not accidentally saving an empty object over existing tasks
       if (taskCount === 0) {
@@ -51,104 +189,740 @@ export class TaskQueue {
         }
       }
       
-      await fs.writeFile(this.tasksFile, JSON.stringify(tasks, null, 2));
+      await this.store.write(tasks);
     } catch (error) {
       console.error('Error saving tasks:', error);
       throw error;
     }
   }
 
-  async addDirective(directive) {
-    const tasks = await this.loadTasks();
+  // Run a load-mutate-commit cycle against the task store under its lock.
+  // Events the mutator queues with emitAfterWrite fire once the change has
+  // been written, and not at all when the mutator throws.
+  async updateTasks(mutator) {
+    const events = [];
+    const result = await this.store.transaction(async (tasks) => {
+      // Transactions on the store run one at a time, so this is ours
+      this.pendingEvents = events;
+      try {
+        return await mutator(tasks);
+      } finally {
+        this.pendingEvents = null;
+      }
+    });
     
-    tasks[directive.taskId] = {
-      ...directive,
-      type: 'directive',
-      submissions: [],
-      reviews: [],
-      questions: [],
-      dependsOn: directive.dependsOn || [],
-      blockedBy: directive.blockedBy || [],
-      priority: directive.priority || 'medium',
-    };
+    events.forEach(([event, payload]) => this.emit(event, payload));
+    return result;
+  }
+
+  emitAfterWrite(event, payload) {
+    this.pendingEvents.push([event, payload]);
+  }
+
+  // Look up tasks by indexed fields (status, priority, missionId)
+  async findTasks(where) {
+    return await this.store.find(where);
+  }
+
+  // Without a taskId the directive gets the next generated ID; a taskId that
+  // already exists is rejected. Returns the task's ID.
+  async addDirective(directive) {
+    const taskId = await this.updateTasks(async (tasks) => {
+      if (directive.taskId) {
+        this.checkNewTaskId(tasks, directive.taskId);
+      }
+      const [taskId] = directive.taskId ? [directive.taskId] : await this.allocateTaskIds(tasks, 1);
+      
+      tasks[taskId] = {
+        ...directive,
+        taskId,
+        type: 'directive',
+        submissions: [],
+        reviews: [],
+        questions: [],
+        dependsOn: directive.dependsOn || [],
+        blockedBy: directive.blockedBy || [],
+        priority: directive.priority || 'medium',
+        parentId: directive.parentId || null,
+        subtasks: [],
+        stage: this.workflow.stages[0].name,
+        status: 'pending',
+        history: [this.creationEntry(directive)],
+      };
+      this.validateDependencies(tasks, [taskId]);
+      this.linkSubtasks(tasks, [taskId]);
+      
+      // Update task status based on dependencies
+      await this.updateTaskAvailability(tasks, taskId);
+      
+      return taskId;
+    });
     
-    // Update task status based on dependencies
-    await this.updateTaskAvailability(tasks, directive.taskId);
+    this.emit('taskCreated', { taskId });
+    return taskId;
+  }
+
+  checkNewTaskId(tasks, taskId) {
+    if (tasks[taskId]) {
+      throw new Error(`Task ${taskId} already exists`);
+    }
+  }
+
+  // Hands out `<prefix>-NNN` IDs from a counter that only moves forward, so
+  // an ID is never reused even if its task is cancelled or the insert that
+  // took it fails. Numbers already taken by caller-supplied IDs (in tasks or
+  // in `reserved`) are skipped. Runs inside the tasks transaction, which
+  // always takes its lock before the counter's.
+  async allocateTaskIds(tasks, count, reserved = new Set()) {
+    if (count === 0) {
+      return [];
+    }
     
-    await this.saveTasks(tasks);
-    return directive.taskId;
+    return await this.sequence.transaction(async (sequence) => {
+      const taskIds = [];
+      let next = sequence[this.idPrefix] || 1;
+      while (taskIds.length < count) {
+        const taskId = `${this.idPrefix}-${String(next).padStart(3, '0')}`;
+        next++;
+        if (!tasks[taskId] && !reserved.has(taskId)) {
+          taskIds.push(taskId);
+        }
+      }
+      sequence[this.idPrefix] = next;
+      return taskIds;
+    });
+  }
+
+  creationEntry(directive) {
+    return {
+      from: null,
+      to: 'pending',
+      actor: directive.createdBy || 'system',
+      reason: 'created',
+      at: new Date().toISOString(),
+    };
   }
 
+  // Submits the work of a work stage and moves the task on to the next stage.
+  // Returns { status, stage }.
   async addSubmission(submission) {
-    const tasks = await this.loadTasks();
-    const task = tasks[submission.taskId];
+    // Git runs before the tasks lock is taken, so a large working tree doesn't
+    // hold up every other tool call
+    const current = await this.getTask(submission.taskId);
+    const diff = current && this.captureDiffs ? await this.captureDiff(current) : null;
+    const head = current ? await this.branchHead(current) : null;
     
-    if (!task) {
-      throw new Error(`Task ${submission.taskId} not found`);
-    }
-    
-    task.submissions.push(submission);
-    task.status = 'in_review';
+    const result = await this.updateTasks(async (tasks) => {
+      const task = tasks[submission.taskId];
+      
+      if (!task) {
+        throw new Error(`Task ${submission.taskId} not found`);
+      }
+      
+      const open = openSubtasks(tasks, submission.taskId);
+      if (open.length > 0) {
+        throw new Error(`Task ${submission.taskId} has open subtasks: ${open.join(', ')} - complete them before submitting it`);
+      }
+      
+      const actor = submission.submittedBy || task.assignee || 'system';
+      // Submitting a task nobody claimed takes it through in_progress first
+      if (CLAIMABLE_STATUSES.includes(task.status)) {
+        transitionTask(task, 'in_progress', { actor, reason: 'submitted' });
+      }
+      if (task.status !== 'in_progress') {
+        throw new Error(`Task ${submission.taskId} is ${task.status}; only work in progress can be submitted`);
+      }
+      // While a lease is live only its holder may submit the work
+      const liveLease = task.lease && new Date(task.lease.expiresAt) > new Date() ? task.lease : null;
+      if (liveLease && (submission.submittedBy || '').toLowerCase() !== liveLease.agentName) {
+        throw new Error(`${submission.submittedBy || 'system'} does not hold a lease on task ${submission.taskId}`);
+      }
+      
+      task.submissions.push({
+        ...submission,
+        stage: this.stageOf(task).name,
+        ...head,
+        ...(diff && { diff }),
+      });
+      if (head) {
+        task.branch = head.branch;
+      }
+      this.resolveActionItems(task, submission.resolvedActionItems || [], actor);
+      task.lease = null;
+      await this.advanceStage(tasks, task, { actor, reason: 'submitted' });
+      
+      return { status: task.status, stage: task.stage };
+    });
     
-    await this.saveTasks(tasks);
+    this.emit('taskSubmitted', { taskId: submission.taskId, submission });
+    return result;
   }
 
-  async addReview(review) {
-    const tasks = await this.loadTasks();
-    const task = tasks[review.taskId];
+  // Diff against the commit recorded when the task was claimed (HEAD when it
+  // never was): of the task branch, with whatever is uncommitted where it is
+  // checked out, or of the project's working tree for a task without one. A
+  // failure is stored as { base, error } rather than rejecting the
+  // submission.
+  async captureDiff(task) {
+    const capturedAt = new Date().toISOString();
+    let base = task.baseCommit || null;
+    try {
+      base = base || await this.repository.head();
+      const branch = typeof task.branch === 'string' && await this.repository.branchExists(task.branch) ? task.branch : null;
+      return { ...await this.repository.diffWorkingTree(base, { branch }), capturedAt };
+    } catch (error) {
+      return { base, error: error.message, capturedAt };
+    }
+  }
+
+  // Commit the task's work starts from, found on its first claim: where its
+  // branch starts (the commit it was just created at, or where it left the
+  // integration branch), or HEAD for a task without a branch. Null when
+  // diffs aren't captured or git can't tell.
+  async findBaseCommit(task, bound) {
+    if (!this.captureDiffs || task.baseCommit) {
+      return null;
+    }
+    try {
+      if (!bound) {
+        return await this.repository.head();
+      }
+      return bound.created
+        ? await this.repository.commitOf(bound.branch)
+        : await this.repository.mergeBase(this.branches.integrationBranch || 'HEAD', bound.branch);
+    } catch (error) {
+      console.error(`Could not find the base commit of ${task.taskId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Git work of a claim, done before it takes the tasks lock: the task's
+  // branch and the commit its work starts from, as { branch, baseCommit }
+  async prepareClaim(task) {
+    const bound = await this.bindBranch(task);
+    return { branch: bound?.branch || null, baseCommit: await this.findBaseCommit(task, bound) };
+  }
+
+  // Branch a task's work goes on: the directive's `branch` name, or
+  // task/<taskId> when it sets `branch: true` or the project has task
+  // branches and it doesn't opt out with `branch: false`
+  branchName(task) {
+    if (typeof task.branch === 'string') {
+      return task.branch;
+    }
+    return (task.branch ?? this.branches.enabled) ? `task/${task.taskId}` : null;
+  }
+
+  // Creates the task's branch from the integration branch (HEAD without
+  // one) if it doesn't exist yet. Returns { branch, created }, or null for a
+  // task without a branch. A branch that can't be created fails the claim.
+  async bindBranch(task) {
+    const name = this.branchName(task);
+    if (!name) {
+      return null;
+    }
+    try {
+      const created = await this.repository.ensureBranch(name, this.branches.integrationBranch || 'HEAD');
+      return { branch: name, created };
+    } catch (error) {
+      throw new Error(`Could not create branch ${name} for task ${task.taskId}: ${error.message}`);
+    }
+  }
+
+  // The task's branch and its latest commit as { branch, commit }, read
+  // before a submission takes the tasks lock. A task submitted without ever
+  // being claimed gets its branch here; one whose branch has gone since it
+  // was claimed can't be submitted.
+  async branchHead(task) {
+    const name = this.branchName(task);
+    if (!name) {
+      return null;
+    }
+    if (!await this.repository.branchExists(name)) {
+      if (task.startedAt || task.submissions.length > 0) {
+        throw new Error(`Branch ${name} of task ${task.taskId} no longer exists; restore it with the task's commits before submitting`);
+      }
+      await this.bindBranch(task);
+    }
+    return { branch: name, commit: await this.repository.commitOf(name) };
+  }
+
+  mergesBranch(task) {
+    return Boolean(task.branch) && this.branches.merge !== 'none';
+  }
+
+  // The failed merge an approved task in review is waiting to retry, or null
+  failedMerge(task) {
+    const merge = task.merges?.[task.merges.length - 1];
+    const waiting = task.status === 'in_review' && merge && !merge.merged && !REWORK_MERGE_REASONS.includes(merge.reason);
+    return waiting && merge.stage === this.stageOf(task).name && merge.submission === task.submissions.length ? merge : null;
+  }
+
+  // Merges an approved task's branch into the integration branch without
+  // holding the tasks lock, then records the attempt in task.merges as
+  // { stage, submission, branch, into, merged, commit, fastForward,
+  // upToDate, reason, conflicts, error, mergedBy, at } and moves the task
+  // on. Conflicts and a diverged branch send it back for rework with an
+  // action item; any other failure leaves it approved in review, tells its
+  // reviewers, and waits for retryMerge. A task that changed while git ran
+  // (a new submission, a hold) is left where it is. Returns { status,
+  // stage, merge }.
+  async mergeTaskBranch(taskId, { stage, submission }, actor) {
+    const { integrationBranch, merge } = this.branches;
+    const { branch, title } = await this.getTask(taskId);
+    const result = await this.repository.mergeBranch(branch, integrationBranch, {
+      fastForwardOnly: merge === 'fastForward',
+      message: `Merge branch '${branch}' (${taskId}: ${title})`,
+    });
     
+    return await this.updateTasks(async (tasks) => {
+      const task = tasks[taskId];
+      const entry = {
+        stage,
+        submission,
+        branch,
+        into: integrationBranch,
+        merged: result.merged,
+        commit: result.commit || null,
+        fastForward: result.fastForward || false,
+        upToDate: result.upToDate || false,
+        reason: result.reason || null,
+        conflicts: result.conflicts || [],
+        error: result.error || null,
+        mergedBy: actor,
+        at: new Date().toISOString(),
+      };
+      task.merges = [...(task.merges || []), entry];
+      
+      if (task.status === 'in_review' && this.stageOf(task).name === stage && task.submissions.length === submission) {
+        if (entry.merged) {
+          await this.advanceStage(tasks, task, { actor, reason: 'approved' });
+        } else if (REWORK_MERGE_REASONS.includes(entry.reason)) {
+          this.reworkStage(task, { actor, reason: 'merge_failed' });
+          this.addActionItems(task, [mergeActionItem(entry)], actor);
+        } else {
+          this.emitAfterWrite('taskUpdated', { taskId, merge: entry });
+        }
+      }
+      return { status: task.status, stage: task.stage, merge: entry };
+    });
+  }
+
+  // Merges an approved task again after a merge that failed for reasons of
+  // the repository's own, once those are fixed
+  async retryMerge(taskId, actor = 'system') {
+    const task = await this.getTask(taskId);
     if (!task) {
-      throw new Error(`Task ${review.taskId} not found`);
+      throw new Error(`Task ${taskId} not found`);
+    }
+    const merge = this.failedMerge(task);
+    if (!merge) {
+      throw new Error(`Task ${taskId} has no failed merge to retry`);
     }
     
-    task.reviews.push(review);
-    task.status = review.status === 'approved' ? 'completed' : 'needs_revision';
+    return await this.mergeTaskBranch(taskId, { stage: merge.stage, submission: merge.submission }, actor);
+  }
+
+  // The stage a task is in. Tasks created before their project had a
+  // workflow, or whose stage was removed from it, are placed by status.
+  stageOf(task) {
+    const { stages } = this.workflow;
+    return stages.find(stage => stage.name === task.stage)
+      || stages.find(stage => STAGE_ENTRY_STATUS[stage.type] === task.status)
+      || stages[0];
+  }
+
+  // Role that owns the task's current stage
+  stageRole(task, stage = this.stageOf(task)) {
+    return stage.role || task.requiredRole || 'developer';
+  }
+
+  // A task's own requiresVerification flag wins over the project setting
+  needsVerification(task) {
+    return task.requiresVerification ?? this.requireVerification;
+  }
+
+  // The stage after `stage`, skipping verification stages for tasks that
+  // don't need verification; null after the last stage
+  nextStage(task, stage) {
+    let next = findStage(this.workflow, stage.next);
+    while (next?.type === 'verification' && !this.needsVerification(task)) {
+      next = findStage(this.workflow, next.next);
+    }
+    return next;
+  }
+
+  checkStageConditions(tasks, task, stage, when) {
+    const conditions = [...stage[when]];
+    if (when === 'exit' && stage.type === 'review' && this.requireResolvedThreads) {
+      conditions.push('threadsResolved');
+    }
     
-    // If approved, update availability of dependent tasks
-    if (review.status === 'approved') {
+    const missing = [...new Set(conditions)].map(condition => STAGE_CONDITION_CHECKS[condition](task, tasks)).filter(Boolean);
+    if (missing.length > 0) {
+      throw new Error(`Task ${task.taskId} cannot ${when === 'entry' ? 'enter' : 'leave'} the ${stage.name} stage: ${missing.join('; ')}`);
+    }
+  }
+
+  // Throws unless the task meets the exit conditions of its stage and the
+  // entry conditions of the next one; returns the next stage (null after
+  // the last one)
+  checkAdvance(tasks, task, stage = this.stageOf(task)) {
+    this.checkStageConditions(tasks, task, stage, 'exit');
+    const next = this.nextStage(task, stage);
+    if (next) {
+      this.checkStageConditions(tasks, task, next, 'entry');
+    }
+    return next;
+  }
+
+  // Moves a task that met its stage's exit conditions into the next stage,
+  // or completes it after the last one. Runs inside the tasks transaction.
+  async advanceStage(tasks, task, { actor, reason }) {
+    const next = this.checkAdvance(tasks, task);
+    if (!next) {
+      transitionTask(task, 'completed', { actor, reason });
       task.completedAt = new Date().toISOString();
+      // Update availability of dependent tasks
       await this.updateTaskAvailability(tasks);
+      this.emitAfterWrite('taskCompleted', { taskId: task.taskId });
+      return;
     }
     
-    await this.saveTasks(tasks);
+    this.enterStage(task, next, STAGE_ENTRY_STATUS[next.type], { actor, reason });
   }
 
-  async addQuestion(question) {
-    const tasks = await this.loadTasks();
-    const task = tasks[question.taskId];
+  // Sends a rejected task back to its stage's rework stage
+  reworkStage(task, { actor, reason }) {
+    const stage = this.stageOf(task);
+    this.enterStage(task, findStage(this.workflow, stage.rework), 'needs_revision', { actor, reason });
+  }
+
+  // Each work stage keeps its own assignee: whoever did the stage's work
+  // gets it back on rework, and a later work stage starts unassigned
+  enterStage(task, stage, status, { actor, reason }) {
+    const current = this.stageOf(task);
+    if (current.type === 'work') {
+      task.stageAssignees = { ...task.stageAssignees, [current.name]: task.assignee || null };
+    }
+    if (stage.type === 'work' && task.stageAssignees) {
+      task.assignee = task.stageAssignees[stage.name] || null;
+    }
     
-    if (!task) {
-      throw new Error(`Task ${question.taskId} not found`);
+    task.stage = stage.name;
+    if (!transitionTask(task, status, { actor, reason })) {
+      // Consecutive stages of the same type keep the status
+      task.history = [...(task.history || []), { from: status, to: status, actor, reason, at: new Date().toISOString() }];
     }
+    task.history[task.history.length - 1].stage = stage.name;
+  }
+
+  // The task's own policy, else its mission's, else the project default
+  async approvalPolicyFor(task) {
+    return task.approvalPolicy || await this.missionApprovalPolicy(task) || this.approvalPolicy;
+  }
+
+  // Records a review of the latest submission and applies the task's
+  // approval policy to the reviews of its current stage: once the policy is
+  // satisfied the task moves to the next stage (or is completed), when a
+  // review blocks it it goes back to the rework stage as needs_revision, and
+  // otherwise it stays in_review. A task branch is merged into the
+  // integration branch once the review is written, and only then does the
+  // task move on (see mergeTaskBranch for failed merges).
+  // review.reviewerRole is the reviewer's role key. review.comments
+  // ({ file, line, body }) open threads on the submission. Returns
+  // { status, stage, approval, threads, merge }.
+  async addReview(review) {
+    const { comments = [], ...entry } = review;
+    const result = await this.updateTasks(async (tasks) => {
+      const task = tasks[review.taskId];
+      
+      if (!task) {
+        throw new Error(`Task ${review.taskId} not found`);
+      }
+      if (task.status !== 'in_review') {
+        throw new Error(`Task ${review.taskId} is ${task.status}; only submitted work (in_review) can be reviewed`);
+      }
+      
+      // Reviews are told apart by reviewer, so one nobody signed can't count
+      // towards a policy that wants several approvals or certain roles
+      const policy = await this.approvalPolicyFor(task);
+      if (!review.reviewedBy && (policy.approvals > 1 || policy.roles.length > 0)) {
+        const roles = policy.roles.length > 0 ? ` including ${policy.roles.join(', ')}` : '';
+        throw new Error(`Task ${review.taskId} needs ${policy.approvals} approval(s)${roles}; name the reviewer so the review counts`);
+      }
+      
+      const reviewer = review.reviewedBy || 'system';
+      const stage = this.stageOf(task);
+      const threads = comments.length > 0 ? this.addThreads(task, comments, reviewer) : [];
+      task.reviews.push({
+        ...entry,
+        stage: stage.name,
+        submission: task.submissions.length,
+        commentIds: threads.map(thread => thread.commentId),
+      });
+      if (review.status === 'needs_revision') {
+        this.addActionItems(task, review.actionItems || [], reviewer);
+      }
+      this.reopenActionItems(task, review.reopenActionItems || [], reviewer);
+      
+      const approval = evaluateApproval(task, policy, stage.name);
+      let mergeFrom = null;
+      if (approval.blocked) {
+        this.reworkStage(task, { actor: reviewer, reason: 'reviewed' });
+      } else if (approval.satisfied && this.mergesBranch(task)) {
+        // Nothing is merged for a task that can't move on anyway
+        this.checkAdvance(tasks, task, stage);
+        mergeFrom = { stage: stage.name, submission: task.submissions.length };
+      } else if (approval.satisfied) {
+        await this.advanceStage(tasks, task, { actor: reviewer, reason: 'approved' });
+      }
+      
+      return { status: task.status, stage: task.stage, approval, threads, mergeFrom };
+    });
     
-    const questionId = `Q-${Date.now()}`;
-    task.questions.push({
-      ...question,
-      questionId,
+    const { mergeFrom, ...reviewed } = result;
+    const merged = mergeFrom
+      ? await this.mergeTaskBranch(review.taskId, mergeFrom, review.reviewedBy || 'system')
+      : { merge: null };
+    
+    this.emit('reviewPosted', { taskId: review.taskId, review });
+    return { ...reviewed, ...merged };
+  }
+
+  // Records QA's verdict on a task in a verification stage as
+  // { stage, submission, verifiedBy, passed, evidence, ticketId, verifiedAt }
+  // in task.verifications. A pass moves the task to the next stage (or
+  // completes it); a failure sends it back to the rework stage as
+  // needs_revision with an action item pointing at the bug ticket. fileBug(),
+  // when given, files that ticket and returns its ID; it only runs once the
+  // task is known to go back, so a rejected verification leaves no ticket.
+  async verifyTask(taskId, { verifiedBy = 'system', passed, evidence = null, fileBug = null, bugTitle = null }) {
+    const verification = await this.updateTasks(async (tasks) => {
+      const task = tasks[taskId];
+      
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      if (task.status !== 'in_verification') {
+        throw new Error(`Task ${taskId} is ${task.status}; only tasks in a verification stage (in_verification) can be verified`);
+      }
+      
+      const verification = {
+        stage: this.stageOf(task).name,
+        submission: task.submissions.length,
+        verifiedBy,
+        passed,
+        evidence,
+        ticketId: null,
+        verifiedAt: new Date().toISOString(),
+      };
+      task.verifications = [...(task.verifications || []), verification];
+      
+      if (passed) {
+        await this.advanceStage(tasks, task, { actor: verifiedBy, reason: 'verified' });
+      } else {
+        this.reworkStage(task, { actor: verifiedBy, reason: 'verification_failed' });
+        const ticketId = fileBug ? await fileBug() : null;
+        verification.ticketId = ticketId;
+        const item = ticketId ? `Fix ${ticketId}${bugTitle ? `: ${bugTitle}` : ''}` : `Fix verification failure${bugTitle ? `: ${bugTitle}` : ''}`;
+        this.addActionItems(task, [item], verifiedBy);
+      }
+      
+      return verification;
     });
     
-    await this.saveTasks(tasks);
-    return questionId;
+    this.emit('taskVerified', { taskId, verification });
+    return verification;
   }
 
-  async answerQuestion(questionId, answer) {
-    const tasks = await this.loadTasks();
+  // policy is normalized by the caller; null falls back to the mission's or
+  // the project's
+  async setApprovalPolicy(taskId, policy, { actor = 'system' } = {}) {
+    return await this.changeTask(taskId, (task) => {
+      task.approvalPolicy = policy;
+      task.updatedAt = new Date().toISOString();
+      task.updatedBy = actor;
+    });
+  }
+
+  async getApprovalStatus(taskId) {
+    const task = await this.getTask(taskId);
+    return task ? evaluateApproval(task, await this.approvalPolicyFor(task), this.stageOf(task).name) : null;
+  }
+
+  // Action items from a review become checklist entries on the task:
+  // { itemId, text, status, review, createdBy, createdAt }, plus resolvedBy,
+  // resolvedAt and resolvedIn (the submission number) once resolved
+  addActionItems(task, texts, author) {
+    const items = task.actionItems || [];
+    const createdAt = new Date().toISOString();
+    for (const text of texts) {
+      items.push({
+        itemId: `ITEM-${items.length + 1}`,
+        text,
+        status: 'open',
+        review: task.reviews.length,
+        createdBy: author,
+        createdAt,
+      });
+    }
+    task.actionItems = items;
+  }
+
+  findActionItems(task, itemIds) {
+    const items = task.actionItems || [];
+    const unknown = itemIds.filter(itemId => !items.some(item => item.itemId === itemId));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown action items on task ${task.taskId}: ${unknown.join(', ')}`);
+    }
+    return items.filter(item => itemIds.includes(item.itemId));
+  }
+
+  // Marks items resolved by the submission just added to the task
+  resolveActionItems(task, itemIds, actor) {
+    const resolvedAt = new Date().toISOString();
+    for (const item of this.findActionItems(task, itemIds)) {
+      Object.assign(item, { status: 'resolved', resolvedBy: actor, resolvedAt, resolvedIn: task.submissions.length });
+    }
+  }
+
+  // A reviewer sends back items the submission claimed but didn't resolve
+  reopenActionItems(task, itemIds, actor) {
+    for (const item of this.findActionItems(task, itemIds)) {
+      Object.assign(item, { status: 'open', reopenedBy: actor, reopenedAt: new Date().toISOString() });
+    }
+  }
+
+  // Review comments are threads on the submission they are about (1-based,
+  // default the latest): { commentId, submission, file, line, body, author,
+  // createdAt, status, replies }. A file must be one the submission listed.
+  addThreads(task, comments, author, submissionNumber = task.submissions.length) {
+    const submission = task.submissions[submissionNumber - 1];
+    if (!submission) {
+      throw new Error(task.submissions.length === 0
+        ? `Task ${task.taskId} has no submissions to comment on`
+        : `Task ${task.taskId} has no submission ${submissionNumber} (it has ${task.submissions.length})`);
+    }
     
-    for (const taskId in tasks) {
+    const files = Array.isArray(submission.files) ? submission.files : Object.keys(submission.files || {});
+    const createdAt = new Date().toISOString();
+    let count = taskThreads(task).length;
+    
+    return comments.map(({ file = null, line = null, body }) => {
+      if (!body) {
+        throw new Error('A review comment needs a body');
+      }
+      if (file && !files.includes(file)) {
+        throw new Error(`${file} is not one of the files in submission ${submissionNumber} of ${task.taskId} (files: ${files.join(', ') || 'none'})`);
+      }
+      if (line !== null && !file) {
+        throw new Error('A line comment needs a file');
+      }
+      
+      count++;
+      const thread = {
+        commentId: `C-${count}`,
+        submission: submissionNumber,
+        file,
+        line,
+        body,
+        author,
+        createdAt,
+        status: 'open',
+        replies: [],
+      };
+      submission.threads = [...(submission.threads || []), thread];
+      return thread;
+    });
+  }
+
+  async addReviewComments(taskId, comments, { author = 'system', submission = null } = {}) {
+    const threads = await this.updateTasks(async (tasks) => {
       const task = tasks[taskId];
-      const question = task.questions.find(q => q.questionId === questionId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      return this.addThreads(task, comments, author, submission || task.submissions.length);
+    });
+    
+    this.emit('threadUpdated', { taskId, commentIds: threads.map(thread => thread.commentId) });
+    return threads;
+  }
+
+  // Adds a reply and/or sets the thread's status ('open' or 'resolved')
+  async updateThread(taskId, commentId, { author = 'system', body = null, status = null } = {}) {
+    const thread = await this.updateTasks(async (tasks) => {
+      const task = tasks[taskId];
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
       
-      if (question) {
-        question.answer = answer;
-        question.answeredAt = new Date().toISOString();
-        question.status = 'answered';
+      const thread = taskThreads(task).find(thread => thread.commentId === commentId);
+      if (!thread) {
+        throw new Error(`Comment ${commentId} not found on task ${taskId}`);
+      }
+      
+      const at = new Date().toISOString();
+      if (body) {
+        thread.replies.push({ author, body, at });
+      }
+      if (status && status !== thread.status) {
+        thread.status = status;
+        thread.resolvedBy = status === 'resolved' ? author : null;
+        thread.resolvedAt = status === 'resolved' ? at : null;
+      }
+      return thread;
+    });
+    
+    this.emit('threadUpdated', { taskId, commentIds: [commentId] });
+    return thread;
+  }
+
+  async getOpenThreads(taskId) {
+    const task = await this.getTask(taskId);
+    return task ? openThreads(task) : [];
+  }
+
+  async addQuestion(question) {
+    const questionId = await this.updateTasks(async (tasks) => {
+      const task = tasks[question.taskId];
+      
+      if (!task) {
+        throw new Error(`Task ${question.taskId} not found`);
+      }
+      
+      const questionId = `Q-${Date.now()}`;
+      task.questions.push({
+        ...question,
+        questionId,
+      });
+      
+      return questionId;
+    });
+    
+    this.emit('questionAsked', { taskId: question.taskId, questionId });
+    return questionId;
+  }
+
+  async answerQuestion(questionId, answer) {
+    const taskId = await this.updateTasks(async (tasks) => {
+      for (const taskId in tasks) {
+        const task = tasks[taskId];
+        const question = task.questions.find(q => q.questionId === questionId);
         
-        await this.saveTasks(tasks);
-        return;
+        if (question) {
+          question.answer = answer;
+          question.answeredAt = new Date().toISOString();
+          question.status = 'answered';
+          return taskId;
+        }
       }
-    }
+      
+      throw new Error(`Question ${questionId} not found`);
+    });
     
-    throw new Error(`Question ${questionId} not found`);
+    this.emit('questionAnswered', { taskId, questionId });
   }
 
   async updateTaskAvailability(tasks, taskIdToUpdate = null) {
@@ -159,76 +933,229 @@ export class TaskQueue {
       const task = tasks[taskId];
       if (!task) continue;
       
-      // Skip if task is already completed or in review
-      if (task.status === 'completed' || task.status === 'in_review') continue;
+      // Only tasks nobody has picked up yet follow their dependencies
+      if (!['pending', 'available', 'blocked'].includes(task.status)) continue;
       
       // Check if all dependencies are met
       const hasUnmetDependencies = task.dependsOn?.some(depId => {
         const depTask = tasks[depId];
-        // If the dependency doesn't exist, assume it was completed and removed
-        // This handles the case where completed tasks are cleaned up
+        // An unknown dependency keeps the task blocked until it is created
+        // or dropped with reset_task_dependencies
         if (!depTask) {
-          console.log(`Dependency ${depId} not found - assuming it was completed`);
-          return false;
+          console.log(`Dependency ${depId} of ${taskId} not found - keeping it blocked`);
+          return true;
         }
-        return depTask.status !== 'completed';
+        return !RESOLVED_STATUSES.includes(depTask.status);
       });
       
       // Check if blocked by any tasks
       const isBlocked = task.blockedBy?.length > 0;
       
       // Update status based on dependencies
-      if (hasUnmetDependencies || isBlocked) {
-        task.status = 'blocked';
-      } else if (task.status === 'blocked') {
-        // If it was blocked but dependencies are now met, make it available
-        task.status = 'available';
-      } else if (task.status === 'pending') {
-        // New tasks with no dependencies should be available
-        task.status = task.dependsOn?.length === 0 ? 'available' : 'blocked';
+      transitionTask(task, hasUnmetDependencies || isBlocked ? 'blocked' : 'available', { reason: 'dependencies' });
+    }
+  }
+
+  // Called inside a transaction after inserting taskIds, so a rejected insert
+  // is never written
+  validateDependencies(tasks, taskIds) {
+    const dangling = findDanglingDependencies(tasks, taskIds);
+    if (dangling.length > 0) {
+      const references = dangling.map(({ taskId, dependsOn }) => `${taskId} depends on ${dependsOn}`);
+      throw new Error(`Unknown task IDs in dependsOn: ${references.join(', ')}`);
+    }
+
+    const cycle = findCycle(tasks, taskIds);
+    if (cycle) {
+      throw new Error(`Dependency cycle: ${cycle.join(' -> ')}`);
+    }
+  }
+
+  // Called inside a transaction after inserting taskIds: adds each task that
+  // names a parentId to its parent's subtasks
+  linkSubtasks(tasks, taskIds) {
+    for (const taskId of taskIds) {
+      const { parentId } = tasks[taskId];
+      if (!parentId) continue;
+      
+      const parent = tasks[parentId];
+      if (!parent) {
+        throw new Error(`Parent task ${parentId} not found`);
       }
+      if (UNSPLITTABLE_STATUSES.includes(parent.status)) {
+        throw new Error(`Task ${parentId} is ${parent.status} and cannot get subtasks`);
+      }
+      parent.subtasks = [...(parent.subtasks || []), taskId];
     }
   }
 
-  async getPendingTasks(role) {
+  async getSubtaskProgress(taskId) {
+    return subtaskProgress(await this.loadTasks(), taskId);
+  }
+
+  // The diff captured with a submission (1-based, default the latest) as
+  // { submission, ...diff }; null when none was captured
+  async getDiff(taskId, submissionNumber = null) {
+    const task = await this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    
+    const number = submissionNumber || task.submissions.length;
+    const diff = task.submissions[number - 1]?.diff;
+    return diff ? { submission: number, ...diff } : null;
+  }
+
+  async getDependencyGraph() {
+    return buildDependencyGraph(await this.loadTasks());
+  }
+
+  // Like updateTasks, but first releases expired leases and refreshes
+  // availability, so callers only ever see tasks an agent still holds
+  async updateLiveTasks(mutator) {
+    let expired = [];
+    const result = await this.updateTasks(async (tasks) => {
+      expired = this.expireLeases(tasks);
+      await this.updateTaskAvailability(tasks);
+      return await mutator(tasks);
+    });
+    
+    expired.forEach(({ taskId, agentName }) => {
+      this.emit('taskStatusChanged', { taskId, status: 'available', reason: 'lease_expired', agentName });
+    });
+    return result;
+  }
+
+  // The tasks as updateLiveTasks would leave them, without taking the lock or
+  // writing anything: expired leases and dependency changes only show in the
+  // returned copy. For polling; whoever next writes applies them for real.
+  async previewLiveTasks() {
     const tasks = await this.loadTasks();
+    this.expireLeases(tasks);
+    await this.updateTaskAvailability(tasks);
+    return tasks;
+  }
+
+  // Returns in_progress tasks whose lease ran out to available and restores
+  // the assignee they had before they were claimed
+  expireLeases(tasks, now = new Date()) {
+    const expired = [];
     
+    for (const [taskId, task] of Object.entries(tasks)) {
+      if (task.status !== 'in_progress' || !task.lease || new Date(task.lease.expiresAt) > now) continue;
+      
+      const { agentName, previousAssignee } = task.lease;
+      transitionTask(task, 'available', { reason: 'lease_expired', at: now });
+      task.assignee = previousAssignee || null;
+      task.lease = null;
+      expired.push({ taskId, agentName });
+    }
+    
+    return expired;
+  }
+
+  leaseExpiry(from = new Date()) {
+    return new Date(from.getTime() + this.leaseSeconds * 1000).toISOString();
+  }
+
+  // Extends the agent's leases (all of them, or just taskId's). Fails when
+  // the agent no longer holds the requested task, e.g. after it expired.
+  async renewLease(agentName, taskId = null) {
+    const name = agentName.toLowerCase();
+    
+    const renewed = await this.updateLiveTasks(async (tasks) => {
+      const now = new Date();
+      const renewed = [];
+      for (const [id, task] of Object.entries(tasks)) {
+        if (task.lease?.agentName !== name || (taskId && id !== taskId)) continue;
+        
+        task.lease.renewedAt = now.toISOString();
+        task.lease.expiresAt = this.leaseExpiry(now);
+        renewed.push({ taskId: id, expiresAt: task.lease.expiresAt });
+      }
+      return renewed;
+    });
+    
+    // Thrown after the transaction so expired leases are still released
+    if (taskId && renewed.length === 0) {
+      throw new Error(`${agentName} does not hold a lease on task ${taskId}`);
+    }
+    return renewed;
+  }
+
+  // With an agent name, directives are filtered to what that agent may take
+  async getPendingTasks(role, agentName = null, { readOnly = false } = {}) {
     // Update task availability before returning
-    await this.updateTaskAvailability(tasks);
-    await this.saveTasks(tasks);
+    const tasks = readOnly ? await this.previewLiveTasks() : await this.updateLiveTasks(async (tasks) => tasks);
     
     const pendingTasks = [];
     
     for (const taskId in tasks) {
       const task = tasks[taskId];
+      const stage = this.stageOf(task);
       
-      if (role === 'developer') {
-        // Developer sees available tasks, in-progress tasks, and tasks needing revision
-        if (task.status === 'available' || task.status === 'in_progress' || task.status === 'needs_revision') {
+      // A role's work comes from the workflow stages it owns: work stages
+      // list tasks to take on, review stages submissions to review, and
+      // verification stages tasks to verify
+      if (stage.type === 'work' && WORKING_STATUSES.includes(task.status)) {
+        // The task's assignee, or the stage's role, sees available tasks,
+        // in-progress tasks, and tasks needing revision
+        if (this.isRoutedTo(task, { name: agentName, role })) {
           pendingTasks.push({
             taskId,
             title: task.title,
             status: task.status,
+            stage: stage.name,
             type: 'directive',
             priority: task.priority || 'medium',
             dependsOn: task.dependsOn || [],
+            assignee: task.assignee || null,
+            requiredRole: task.requiredRole || null,
+            parentId: task.parentId || null,
+            progress: subtaskProgress(tasks, taskId),
+            openComments: openThreads(task).length,
+            openActionItems: summarizeActionItems(task).open,
+            leaseExpiresAt: task.lease?.expiresAt || null,
             latestReview: task.reviews[task.reviews.length - 1] || null,
           });
         }
-      } else if (role === 'cto') {
-        // CTO sees tasks in review
-        if (task.status === 'in_review') {
+      }
+      if (stage.type === 'review' && task.status === 'in_review') {
+        // The stage's role sees tasks in review, and so do roles whose
+        // approval the task's policy still needs
+        const approval = evaluateApproval(task, await this.approvalPolicyFor(task), stage.name);
+        if (stage.role === role || approval.missingRoles.includes(role)) {
           pendingTasks.push({
             taskId,
             title: task.title,
             status: task.status,
+            stage: stage.name,
             type: 'review',
+            priority: task.priority || 'medium',
+            approval,
+            failedMerge: this.failedMerge(task),
+            openComments: openThreads(task).length,
+            actionItems: summarizeActionItems(task),
             latestSubmission: task.submissions[task.submissions.length - 1] || null,
           });
         }
       }
+      if (stage.type === 'verification' && task.status === 'in_verification' && stage.role === role) {
+        pendingTasks.push({
+          taskId,
+          title: task.title,
+          status: task.status,
+          stage: stage.name,
+          type: 'verification',
+          priority: task.priority || 'medium',
+          acceptanceCriteria: task.acceptanceCriteria || [],
+          approvedBy: evaluateApproval(task, await this.approvalPolicyFor(task)).approvedBy,
+          previousVerifications: task.verifications || [],
+          latestSubmission: task.submissions[task.submissions.length - 1] || null,
+        });
+      }
       
-      // Both see unanswered questions
+      // Everyone sees unanswered questions
       const unansweredQuestions = task.questions.filter(q => q.status === 'unanswered');
       if (unansweredQuestions.length > 0) {
         pendingTasks.push({
@@ -240,15 +1167,13 @@ export class TaskQueue {
       }
     }
     
-    // Sort by priority for developers
-    if (role === 'developer') {
-      const priorityOrder = { high: 0, medium: 1, low: 2 };
-      pendingTasks.sort((a, b) => {
-        const aPriority = priorityOrder[a.priority] || 1;
-        const bPriority = priorityOrder[b.priority] || 1;
-        return aPriority - bPriority;
-      });
-    }
+    // Sort by priority
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    pendingTasks.sort((a, b) => {
+      const aPriority = priorityOrder[a.priority] || 1;
+      const bPriority = priorityOrder[b.priority] || 1;
+      return aPriority - bPriority;
+    });
     
     return pendingTasks;
   }
@@ -284,31 +1209,55 @@ export class TaskQueue {
     return unansweredQuestions;
   }
 
-  async markTaskComplete(taskId) {
-    const tasks = await this.loadTasks();
+  async markTaskComplete(taskId, actor = 'system') {
+    const completed = await this.updateTasks(async (tasks) => {
+      if (tasks[taskId]) {
+        if (transitionTask(tasks[taskId], 'completed', { actor, reason: 'marked_complete' })) {
+          tasks[taskId].completedAt = new Date().toISOString();
+        }
+        
+        // Update availability of dependent tasks
+        await this.updateTaskAvailability(tasks);
+        return true;
+      }
+      return false;
+    });
     
-    if (tasks[taskId]) {
-      tasks[taskId].status = 'completed';
-      tasks[taskId].completedAt = new Date().toISOString();
-      
-      // Update availability of dependent tasks
-      await this.updateTaskAvailability(tasks);
-      await this.saveTasks(tasks);
+    if (completed) {
+      this.emit('taskCompleted', { taskId });
     }
   }
 
-  async getNextWorkableTask() {
-    const tasks = await this.loadTasks();
-    
+  // A task with an assignee belongs to that agent alone; otherwise it goes to
+  // agents with the role of its stage (see stageRole). Without an agent name
+  // only the role is checked.
+  isRoutedTo(task, { name = null, role = null } = {}) {
+    if (task.assignee && name) {
+      return task.assignee === name.toLowerCase();
+    }
+    return this.stageRole(task) === role;
+  }
+
+  // agent is { name, role }; without it every task is considered
+  async getNextWorkableTask(agent = null) {
     // Update task availability
-    await this.updateTaskAvailability(tasks);
-    await this.saveTasks(tasks);
+    const tasks = await this.updateLiveTasks(async (tasks) => tasks);
+    
+    return this.pickNextTask(tasks, agent);
+  }
+
+  pickNextTask(tasks, agent = null, { includeInProgress = true } = {}) {
+    // A task with open subtasks waits for them before its own work is picked
+    const isWorkable = (task, taskId) =>
+      (!agent || this.isRoutedTo(task, agent)) && openSubtasks(tasks, taskId).length === 0;
     
     // First, check if there's already an in-progress task
-    for (const taskId in tasks) {
-      const task = tasks[taskId];
-      if (task.status === 'in_progress') {
-        return { taskId, ...task };
+    if (includeInProgress) {
+      for (const taskId in tasks) {
+        const task = tasks[taskId];
+        if (task.status === 'in_progress' && isWorkable(task, taskId)) {
+          return { taskId, ...task };
+        }
       }
     }
     
@@ -320,7 +1269,7 @@ export class TaskQueue {
       const task = tasks[taskId];
       
       // Skip non-workable tasks
-      if (task.status !== 'available' && task.status !== 'needs_revision') continue;
+      if (!CLAIMABLE_STATUSES.includes(task.status) || !isWorkable(task, taskId)) continue;
       
       // If no best task yet, use this one
       if (!bestTask) {
@@ -340,58 +1289,299 @@ export class TaskQueue {
     return bestTask;
   }
 
-  async unblockTask(taskId, blockerTaskId) {
-    const tasks = await this.loadTasks();
-    const task = tasks[taskId];
-    
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
+  // Moves a task to in_progress for one agent inside a single transaction, so
+  // two agents can never claim the same task, and leases it to them for
+  // leaseSeconds. Without a taskId the agent's highest-priority workable task
+  // is claimed; returns null if there is none. Git runs before the lock is
+  // taken, as in addSubmission, for the task the claim expects to take; if
+  // that task changes in the meantime the claim starts over.
+  async claimTask(agent, taskId = null) {
+    const name = agent.name.toLowerCase();
+    let changed = false;
+    let retry = true;
+    let claimed = null;
+    while (retry) {
+      retry = false;
+      const preview = await this.previewLiveTasks();
+      const id = taskId || this.pickNextTask(preview, agent, { includeInProgress: false })?.taskId;
+      if (!id) {
+        return null;
+      }
+      const expected = preview[id];
+      const start = expected && CLAIMABLE_STATUSES.includes(expected.status) && this.isRoutedTo(expected, agent)
+        ? await this.prepareClaim(expected)
+        : null;
+      
+      claimed = await this.updateLiveTasks(async (tasks) => {
+        const now = new Date();
+        const task = tasks[id];
+        if (!task) {
+          throw new Error(`Task ${id} not found`);
+        }
+        
+        // Claiming a task the agent already holds just renews the lease
+        if (task.status === 'in_progress' && (task.lease?.agentName || task.assignee) === name) {
+          if (task.lease) {
+            task.lease.renewedAt = now.toISOString();
+            task.lease.expiresAt = this.leaseExpiry(now);
+          }
+          return { taskId: id, ...task };
+        }
+        
+        // Another agent took the picked task first
+        if (!taskId && !(CLAIMABLE_STATUSES.includes(task.status) && this.isRoutedTo(task, agent))) {
+          retry = true;
+          return null;
+        }
+        if (!this.isRoutedTo(task, agent)) {
+          throw new Error(task.assignee
+            ? `Task ${id} is assigned to ${task.assignee}`
+            : `Task ${id} requires the ${this.stageRole(task)} role (${agent.name} is ${agent.role || 'unassigned'})`);
+        }
+        if (!CLAIMABLE_STATUSES.includes(task.status)) {
+          throw new Error(`Task ${id} is ${task.status} and cannot be claimed`);
+        }
+        // It only became claimable after git ran
+        if (!start) {
+          retry = true;
+          return null;
+        }
+        
+        transitionTask(task, 'in_progress', { actor: name, reason: 'claimed', at: now });
+        if (start.branch) {
+          task.branch = start.branch;
+        }
+        if (start.baseCommit && !task.baseCommit) {
+          task.baseCommit = start.baseCommit;
+        }
+        task.lease = {
+          agentName: name,
+          previousAssignee: task.assignee || null,
+          claimedAt: now.toISOString(),
+          expiresAt: this.leaseExpiry(now),
+        };
+        task.assignee = name;
+        task.startedAt = now.toISOString();
+        changed = true;
+        
+        return { taskId: id, ...task };
+      });
     }
     
-    // Remove from blockedBy array
-    task.blockedBy = (task.blockedBy || []).filter(id => id !== blockerTaskId);
-    
-    // Update task availability
-    await this.updateTaskAvailability(tasks, taskId);
-    await this.saveTasks(tasks);
+    if (changed) {
+      this.emit('taskStatusChanged', { taskId: claimed.taskId, status: 'in_progress' });
+    }
+    return claimed;
   }
 
+  async unblockTask(taskId, blockerTaskId) {
+    await this.updateTasks(async (tasks) => {
+      const task = tasks[taskId];
+      
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      
+      // Remove from blockedBy array
+      task.blockedBy = (task.blockedBy || []).filter(id => id !== blockerTaskId);
+      
+      // Update task availability
+      await this.updateTaskAvailability(tasks, taskId);
+    });
+  }
+
+  // Returns the IDs in the order of directives, generated ones included
   async addBatchDirectives(directives) {
-    const tasks = await this.loadTasks();
-    const addedTaskIds = [];
-    
-    for (const directive of directives) {
-      tasks[directive.taskId] = {
-        ...directive,
-        type: 'directive',
-        submissions: [],
-        reviews: [],
-        questions: [],
-        dependsOn: directive.dependsOn || [],
-        blockedBy: directive.blockedBy || [],
-        priority: directive.priority || 'medium',
-        createdAt: new Date().toISOString(),
-        status: 'pending',
-      };
-      addedTaskIds.push(directive.taskId);
-    }
-    
-    // Update task availability for all new tasks
-    await this.updateTaskAvailability(tasks);
-    await this.saveTasks(tasks);
+    const addedTaskIds = await this.updateTasks(async (tasks) => {
+      const addedTaskIds = [];
+      
+      const given = new Set();
+      for (const { taskId } of directives.filter(directive => directive.taskId)) {
+        this.checkNewTaskId(tasks, taskId);
+        if (given.has(taskId)) {
+          throw new Error(`Task ${taskId} appears more than once in the batch`);
+        }
+        given.add(taskId);
+      }
+      const generated = await this.allocateTaskIds(tasks, directives.length - given.size, given);
+      
+      for (const directive of directives) {
+        const taskId = directive.taskId || generated.shift();
+        tasks[taskId] = {
+          ...directive,
+          taskId,
+          type: 'directive',
+          submissions: [],
+          reviews: [],
+          questions: [],
+          dependsOn: directive.dependsOn || [],
+          blockedBy: directive.blockedBy || [],
+          priority: directive.priority || 'medium',
+          parentId: directive.parentId || null,
+          subtasks: [],
+          stage: this.workflow.stages[0].name,
+          createdAt: new Date().toISOString(),
+          status: 'pending',
+          history: [this.creationEntry(directive)],
+        };
+        addedTaskIds.push(taskId);
+      }
+      this.validateDependencies(tasks, addedTaskIds);
+      this.linkSubtasks(tasks, addedTaskIds);
+      
+      // Update task availability for all new tasks
+      await this.updateTaskAvailability(tasks);
+      
+      return addedTaskIds;
+    });
     
+    addedTaskIds.forEach(taskId => this.emit('taskCreated', { taskId }));
     return addedTaskIds;
   }
 
-  async updateTaskStatus(taskId, newStatus) {
-    const tasks = await this.loadTasks();
+  // Throws when the lifecycle doesn't allow the change
+  async updateTaskStatus(taskId, newStatus, { actor = 'system', reason = null } = {}) {
+    const updated = await this.updateTasks(async (tasks) => {
+      if (tasks[taskId] && transitionTask(tasks[taskId], newStatus, { actor, reason })) {
+        if (newStatus === 'in_progress') {
+          tasks[taskId].startedAt = new Date().toISOString();
+        }
+        return true;
+      }
+      return false;
+    });
     
-    if (tasks[taskId]) {
-      tasks[taskId].status = newStatus;
-      if (newStatus === 'in_progress') {
-        tasks[taskId].startedAt = new Date().toISOString();
+    if (updated) {
+      this.emit('taskStatusChanged', { taskId, status: newStatus });
+    }
+  }
+
+  // Applies change(task, tasks) to one task and refreshes availability so its
+  // dependents follow. Emits taskStatusChanged when the task's status moved,
+  // taskUpdated otherwise.
+  async changeTask(taskId, change) {
+    let previousStatus = null;
+    const task = await this.updateLiveTasks(async (tasks) => {
+      const task = tasks[taskId];
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
       }
-      await this.saveTasks(tasks);
+      
+      previousStatus = task.status;
+      change(task, tasks);
+      await this.updateTaskAvailability(tasks);
+      return { taskId, ...task };
+    });
+    
+    if (task.status !== previousStatus) {
+      this.emit('taskStatusChanged', { taskId, status: task.status });
+    } else {
+      this.emit('taskUpdated', { taskId });
     }
+    return task;
+  }
+
+  // Tasks waiting on a cancelled task stay blocked until the dependency is
+  // dropped; they are returned as waitingDependents so the caller can say so
+  async cancelTask(taskId, { actor = 'system', reason = null } = {}) {
+    let waitingDependents = [];
+    const task = await this.changeTask(taskId, (task, tasks) => {
+      transitionTask(task, 'cancelled', { actor, reason: reason || 'cancelled' });
+      task.cancelledAt = new Date().toISOString();
+      task.lease = null;
+      waitingDependents = Object.values(tasks)
+        .filter(dependent => dependent.dependsOn?.includes(taskId) && !TERMINAL_STATUSES.includes(dependent.status))
+        .map(dependent => dependent.taskId);
+    });
+    return { ...task, waitingDependents };
+  }
+
+  // A held task keeps its dependents blocked. Holding a claimed task releases
+  // the claim as if its lease had expired.
+  async holdTask(taskId, { actor = 'system', reason = null } = {}) {
+    return await this.changeTask(taskId, (task) => {
+      const heldFrom = task.status;
+      transitionTask(task, 'on_hold', { actor, reason: reason || 'held' });
+      task.heldFrom = heldFrom;
+      if (task.lease) {
+        task.assignee = task.lease.previousAssignee || null;
+        task.lease = null;
+      }
+    });
+  }
+
+  // Submitted, approved-but-unverified and revision-requested work resumes
+  // where it was; everything else goes back through pending and follows its
+  // dependencies again
+  async resumeTask(taskId, { actor = 'system' } = {}) {
+    return await this.changeTask(taskId, (task) => {
+      if (task.status !== 'on_hold') {
+        throw new Error(`Task ${taskId} is ${task.status}, not on_hold`);
+      }
+      
+      const resumeTo = ['in_review', 'in_verification', 'needs_revision'].includes(task.heldFrom) ? task.heldFrom : 'pending';
+      transitionTask(task, resumeTo, { actor, reason: 'resumed' });
+      delete task.heldFrom;
+    });
+  }
+
+  // changes may hold any of EDITABLE_FIELDS; new dependencies are validated
+  // like they are on insert
+  async updateTask(taskId, changes, { actor = 'system' } = {}) {
+    const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+      throw new Error(`Nothing to update (editable fields: ${EDITABLE_FIELDS.join(', ')})`);
+    }
+    
+    return await this.changeTask(taskId, (task, tasks) => {
+      if (TERMINAL_STATUSES.includes(task.status)) {
+        throw new Error(`Task ${taskId} is ${task.status} and can no longer be updated`);
+      }
+      
+      fields.forEach(field => { task[field] = changes[field]; });
+      if (fields.includes('dependsOn')) {
+        this.validateDependencies(tasks, [taskId]);
+      }
+      task.updatedAt = new Date().toISOString();
+      task.updatedBy = actor;
+    });
+  }
+
+  async resetDependencies(taskIds = []) {
+    const results = await this.updateTasks(async (tasks) => {
+      const results = [];
+      
+      // Get tasks to reset
+      const tasksToReset = taskIds.length > 0
+        ? taskIds.map(id => tasks[id]).filter(Boolean)
+        : Object.values(tasks).filter(task => task.status === 'blocked');
+      
+      for (const task of tasksToReset) {
+        if (!(task.dependsOn?.length > 0)) continue;
+        
+        // Check each dependency
+        const clearedDeps = task.dependsOn.filter(depId => {
+          const depTask = tasks[depId];
+          return !depTask || TERMINAL_STATUSES.includes(depTask.status);
+        });
+        
+        // If all dependencies are missing, completed or cancelled, drop them and
+        // let the task follow its remaining blockers
+        if (clearedDeps.length === task.dependsOn.length) {
+          task.dependsOn = [];
+          await this.updateTaskAvailability(tasks, task.taskId);
+          results.push({ taskId: task.taskId, reset: true, clearedDeps, status: task.status });
+        } else {
+          results.push({ taskId: task.taskId, reset: false, clearedDeps });
+        }
+      }
+      
+      return results;
+    });
+    
+    results
+      .filter(result => result.reset)
+      .forEach(({ taskId, status }) => this.emit('taskStatusChanged', { taskId, status }));
+    return results;
   }
-}
\ No newline at end of file
+}
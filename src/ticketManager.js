@@ -1,65 +1,47 @@
 import { promises as fs } from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const TICKETS_DIR = path.join(DATA_DIR, 'tickets');
-const CONFIG_DIR = path.join(__dirname, '..', 'config');
 
 export class TicketManager {
-  constructor() {
-    this.ticketsFile = path.join(TICKETS_DIR, 'tickets.json');
-    this.templatesFile = path.join(CONFIG_DIR, 'ticket-templates.json');
+  constructor(storage, workspace) {
+    this.workspace = workspace;
+    this.store = storage.open('tickets', () => ({
+      bugs: {},
+      enhancements: {},
+      techDebt: {},
+      implementationPlans: {},
+      metadata: {
+        nextId: 1,
+        createdAt: new Date().toISOString()
+      }
+    }));
     this.initializeTicketsDir();
   }
 
   async initializeTicketsDir() {
     try {
-      await fs.mkdir(TICKETS_DIR, { recursive: true });
-      
       // Initialize tickets file if it doesn't exist
-      try {
-        await fs.access(this.ticketsFile);
-      } catch {
-        await this.saveTickets({
-          bugs: {},
-          enhancements: {},
-          techDebt: {},
-          implementationPlans: {},
-          metadata: {
-            nextId: 1,
-            createdAt: new Date().toISOString()
-          }
-        });
-      }
+      await this.store.ensure();
     } catch (error) {
       console.error('Failed to initialize tickets directory:', error);
     }
   }
 
   async loadTickets() {
-    try {
-      const data = await fs.readFile(this.ticketsFile, 'utf8');
-      return JSON.parse(data);
-    } catch {
-      return {
-        bugs: {},
-        enhancements: {},
-        techDebt: {},
-        implementationPlans: {},
-        metadata: { nextId: 1 }
-      };
-    }
+    return await this.store.read();
   }
 
   async saveTickets(tickets) {
-    await fs.writeFile(this.ticketsFile, JSON.stringify(tickets, null, 2));
+    await this.store.write(tickets);
+  }
+
+  // Run a load-mutate-commit cycle against the ticket store under its lock
+  async updateTickets(mutator) {
+    return await this.store.transaction(mutator);
   }
 
   async loadTemplates() {
     try {
-      const data = await fs.readFile(this.templatesFile, 'utf8');
+      const templatesFile = await this.workspace.resolveConfigFile('ticket-templates.json');
+      const data = await fs.readFile(templatesFile, 'utf8');
       return JSON.parse(data);
     } catch (error) {
       console.error('Failed to load ticket templates:', error);
@@ -78,141 +60,160 @@ export class TicketManager {
   }
 
   async createTicket(type, data, createdBy) {
-    const tickets = await this.loadTickets();
-    const templates = await this.loadTemplates();
-    
-    if (!templates[type]) {
-      throw new Error(`Unknown ticket type: ${type}`);
-    }
-
-    // Generate ticket ID
-    const ticketId = `${this.generateTicketId(type)}-${String(tickets.metadata.nextId).padStart(4, '0')}`;
-    tickets.metadata.nextId++;
-
-    // Create ticket
-    const ticket = {
-      id: ticketId,
-      type,
-      status: 'open',
-      createdBy,
-      createdAt: new Date().toISOString(),
-      lastUpdated: new Date().toISOString(),
-      data,
-      history: [{
-        action: 'created',
-        by: createdBy,
-        at: new Date().toISOString(),
-        changes: { status: 'open' }
-      }],
-      watchers: [createdBy],
-      linkedItems: {
-        tickets: [],
-        tasks: [],
-        missions: []
+    return await this.updateTickets(async (tickets) => {
+      const templates = await this.loadTemplates();
+      
+      if (!templates[type]) {
+        throw new Error(`Unknown ticket type: ${type}`);
       }
-    };
 
-    // Store in appropriate category
-    const category = type === 'implementationPlan' ? 'implementationPlans' : type + 's';
-    tickets[category][ticketId] = ticket;
+      // Generate ticket ID
+      const ticketId = `${this.generateTicketId(type)}-${String(tickets.metadata.nextId).padStart(4, '0')}`;
+      tickets.metadata.nextId++;
+
+      // Create ticket
+      const ticket = {
+        id: ticketId,
+        type,
+        status: 'open',
+        createdBy,
+        createdAt: new Date().toISOString(),
+        lastUpdated: new Date().toISOString(),
+        data,
+        history: [{
+          action: 'created',
+          by: createdBy,
+          at: new Date().toISOString(),
+          changes: { status: 'open' }
+        }],
+        watchers: [createdBy],
+        linkedItems: {
+          tickets: [],
+          tasks: [],
+          missions: []
+        }
+      };
+
+      // Store in appropriate category
+      const category = type === 'implementationPlan' ? 'implementationPlans' : type + 's';
+      tickets[category][ticketId] = ticket;
 
-    await this.saveTickets(tickets);
-    return ticketId;
+      return ticketId;
+    });
   }
 
   async updateTicket(ticketId, updates, updatedBy) {
-    const tickets = await this.loadTickets();
-    
-    // Find the ticket
-    let ticket = null;
-    let category = null;
-    
-    for (const cat of ['bugs', 'enhancements', 'techDebt', 'implementationPlans']) {
-      if (tickets[cat][ticketId]) {
-        ticket = tickets[cat][ticketId];
-        category = cat;
-        break;
+    return await this.updateTickets(async (tickets) => {
+      
+      // Find the ticket
+      let ticket = null;
+      let category = null;
+      
+      for (const cat of ['bugs', 'enhancements', 'techDebt', 'implementationPlans']) {
+        if (tickets[cat][ticketId]) {
+          ticket = tickets[cat][ticketId];
+          category = cat;
+          break;
+        }
       }
-    }
 
-    if (!ticket) {
-      throw new Error(`Ticket ${ticketId} not found`);
-    }
+      if (!ticket) {
+        throw new Error(`Ticket ${ticketId} not found`);
+      }
 
-    // Record changes
-    const changes = {};
-    for (const [key, value] of Object.entries(updates)) {
-      if (ticket[key] !== value) {
-        changes[key] = { from: ticket[key], to: value };
-        ticket[key] = value;
+      // Record changes
+      const changes = {};
+      for (const [key, value] of Object.entries(updates)) {
+        if (ticket[key] !== value) {
+          changes[key] = { from: ticket[key], to: value };
+          ticket[key] = value;
+        }
       }
-    }
 
-    if (Object.keys(changes).length > 0) {
-      ticket.lastUpdated = new Date().toISOString();
-      ticket.history.push({
-        action: 'updated',
-        by: updatedBy,
-        at: new Date().toISOString(),
-        changes
-      });
-    }
+      if (Object.keys(changes).length > 0) {
+        ticket.lastUpdated = new Date().toISOString();
+        ticket.history.push({
+          action: 'updated',
+          by: updatedBy,
+          at: new Date().toISOString(),
+          changes
+        });
+      }
 
-    await this.saveTickets(tickets);
-    return ticket;
+      return ticket;
+    });
   }
 
   async linkTickets(ticketId, linkedTicketId, linkType = 'related') {
-    const tickets = await this.loadTickets();
-    
-    // Find both tickets
-    let ticket = null;
-    for (const cat of ['bugs', 'enhancements', 'techDebt', 'implementationPlans']) {
-      if (tickets[cat][ticketId]) {
-        ticket = tickets[cat][ticketId];
-        break;
+    await this.updateTickets(async (tickets) => {
+      
+      // Find both tickets
+      let ticket = null;
+      for (const cat of ['bugs', 'enhancements', 'techDebt', 'implementationPlans']) {
+        if (tickets[cat][ticketId]) {
+          ticket = tickets[cat][ticketId];
+          break;
+        }
       }
-    }
-
-    if (!ticket) {
-      throw new Error(`Ticket ${ticketId} not found`);
-    }
 
-    // Add link
-    if (!ticket.linkedItems.tickets.some(link => link.id === linkedTicketId)) {
-      ticket.linkedItems.tickets.push({
-        id: linkedTicketId,
-        type: linkType,
-        linkedAt: new Date().toISOString()
-      });
-    }
+      if (!ticket) {
+        throw new Error(`Ticket ${ticketId} not found`);
+      }
 
-    await this.saveTickets(tickets);
+      // Add link
+      if (!ticket.linkedItems.tickets.some(link => link.id === linkedTicketId)) {
+        ticket.linkedItems.tickets.push({
+          id: linkedTicketId,
+          type: linkType,
+          linkedAt: new Date().toISOString()
+        });
+      }
+    });
   }
 
   async linkToMission(ticketId, missionId) {
-    const tickets = await this.loadTickets();
-    
-    let ticket = null;
-    let category = null;
-    
-    for (const cat of ['bugs', 'enhancements', 'techDebt', 'implementationPlans']) {
-      if (tickets[cat][ticketId]) {
-        ticket = tickets[cat][ticketId];
-        category = cat;
-        break;
+    await this.updateTickets(async (tickets) => {
+      
+      let ticket = null;
+      let category = null;
+      
+      for (const cat of ['bugs', 'enhancements', 'techDebt', 'implementationPlans']) {
+        if (tickets[cat][ticketId]) {
+          ticket = tickets[cat][ticketId];
+          category = cat;
+          break;
+        }
       }
-    }
 
-    if (!ticket) {
-      throw new Error(`Ticket ${ticketId} not found`);
-    }
+      if (!ticket) {
+        throw new Error(`Ticket ${ticketId} not found`);
+      }
 
-    if (!ticket.linkedItems.missions.includes(missionId)) {
-      ticket.linkedItems.missions.push(missionId);
-    }
+      if (!ticket.linkedItems.missions.includes(missionId)) {
+        ticket.linkedItems.missions.push(missionId);
+      }
+    });
+  }
 
-    await this.saveTickets(tickets);
+  async linkToTask(ticketId, taskId) {
+    await this.updateTickets(async (tickets) => {
+      
+      let ticket = null;
+      for (const cat of ['bugs', 'enhancements', 'techDebt', 'implementationPlans']) {
+        if (tickets[cat][ticketId]) {
+          ticket = tickets[cat][ticketId];
+          break;
+        }
+      }
+
+      if (!ticket) {
+        throw new Error(`Ticket ${ticketId} not found`);
+      }
+
+      if (!ticket.linkedItems.tasks.includes(taskId)) {
+        ticket.linkedItems.tasks.push(taskId);
+      }
+    });
   }
 
   async getTicketsByStatus(status, type = null) {
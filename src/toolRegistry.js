@@ -0,0 +1,82 @@
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { validateSchema } from './schemaValidator.js';
+
+// Single source of truth for the server's tools: each one declares its
+// name, description, inputSchema and handler together. tools/list is built
+// from the registry, and arguments are validated before a handler runs.
+export class ToolRegistry {
+  constructor({ sharedProperties = {} } = {}) {
+    // Properties every tool accepts on top of its own (e.g. projectId)
+    this.sharedProperties = sharedProperties;
+    this.tools = new Map();
+  }
+
+  // Checks the whole batch first so a bad definition registers nothing
+  register(...tools) {
+    const names = new Set();
+    for (const tool of tools) {
+      if (!tool?.name || typeof tool.handler !== 'function') {
+        throw new Error(`Tool definitions need a name and a handler (got ${tool?.name || 'unnamed tool'})`);
+      }
+      if (this.tools.has(tool.name) || names.has(tool.name)) {
+        throw new Error(`Tool ${tool.name} is already registered`);
+      }
+      names.add(tool.name);
+    }
+
+    tools.forEach(tool => this.tools.set(tool.name, tool));
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  getInputSchema(tool) {
+    const inputSchema = tool.inputSchema || { type: 'object', properties: {} };
+    return {
+      ...inputSchema,
+      properties: { ...inputSchema.properties, ...this.sharedProperties },
+    };
+  }
+
+  list() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: this.getInputSchema(tool),
+    }));
+  }
+
+  validate(name, args) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+
+    const errors = validateSchema(this.getInputSchema(tool), args);
+    if (errors.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid arguments for ${name}: ${errors.join('; ')}`);
+    }
+
+    return tool;
+  }
+
+  // Every result carries a machine-readable `structured` payload, repeated as
+  // a trailing JSON text item for clients that only pass `content` through
+  async run(tool, args, context = {}) {
+    const result = await tool.handler(args, context);
+    const structured = {
+      tool: tool.name,
+      projectId: context.projectId,
+      ok: true,
+      ...result?.structured,
+    };
+
+    return {
+      ...result,
+      content: [...(result?.content || []), { type: 'text', text: JSON.stringify(structured) }],
+      structured,
+    };
+  }
+}
@@ -0,0 +1,132 @@
+// Project state and context retention tools
+export const tools = [
+  {
+    name: 'update_project_state',
+    description: 'Update the state of a project component',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        component: { type: 'string', description: 'Component name to update' },
+        state: { type: 'object', description: 'New state data' }
+      },
+      required: ['component', 'state']
+    },
+    async handler(args, { projectState }) {
+      const { component, state } = args;
+      
+      await projectState.updateComponent(component, state);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Project state updated for component: ${component}`,
+          },
+        ],
+        structured: { component },
+      };
+    },
+  },
+  {
+    name: 'get_project_state',
+    description: 'Get current project state',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        component: { type: 'string', description: 'Specific component to get (optional)' }
+      }
+    },
+    async handler(args, { projectState }) {
+      const { component } = args || {};
+      const state = component 
+        ? await projectState.getComponent(component)
+        : await projectState.getAllComponents();
+        
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(state, null, 2),
+          },
+        ],
+        structured: { component: component || null, state: state ?? null },
+      };
+    },
+  },
+  {
+    name: 'generate_context_summary',
+    description: 'Generate a summary of current project context',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Agent requesting context' }
+      }
+    },
+    async handler(args, { contextManager }) {
+      const { agentName } = args || {};
+      
+      // Capture current state
+      await contextManager.captureCurrentState();
+      
+      // Generate onboarding summary
+      const summary = await contextManager.generateOnboardingSummary();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(summary, null, 2),
+          },
+        ],
+        structured: { summary },
+      };
+    },
+  },
+  {
+    name: 'update_context',
+    description: 'Update the shared project context',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        updates: { type: 'object', description: 'Context fields to merge in' }
+      },
+      required: ['updates']
+    },
+    async handler(args, { contextManager }) {
+      const { updates } = args;
+      
+      await contextManager.updateProjectContext(updates);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'Project context updated successfully',
+          },
+        ],
+        structured: { updatedFields: Object.keys(updates) },
+      };
+    },
+  },
+  {
+    name: 'generate_handoff',
+    description: 'Generate a handoff document with the current project state',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    async handler(args, { contextManager }) {
+      const handoffPath = await contextManager.generateHandoffDocument();
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Handoff document generated at: ${handoffPath}`,
+          },
+        ],
+        structured: { handoffPath },
+      };
+    },
+  }
+];
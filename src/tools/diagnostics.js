@@ -0,0 +1,293 @@
+import { DEFAULT_PROJECT_ID } from '../projectRegistry.js';
+import { summarizeTask } from './results.js';
+import { GRAPH_FORMATS, STATUS_COLORS, loadGraphModel, renderGraph } from '../graphExport.js';
+
+// Status, reporting and troubleshooting tools
+export const tools = [
+  {
+    name: 'ping',
+    description: 'Simple ping to test server connectivity',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    async handler() {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: 'pong - AI Collaboration MCP Server is running',
+          },
+        ],
+        structured: { status: 'running' },
+      };
+    },
+  },
+  {
+    name: 'generate_report',
+    description: 'Generate a project status report',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['summary', 'detailed', 'tickets'], description: 'Type of report to generate' }
+      }
+    },
+    async handler(args, { taskQueue, projectState, missionManager, ticketManager, contextManager }) {
+      const { type } = args || {};
+      let report;
+      
+      switch (type) {
+        case 'tickets':
+          report = await ticketManager.generateTicketReport();
+          break;
+        case 'detailed':
+          report = await contextManager.generateOnboardingSummary();
+          break;
+        default:
+          report = {
+            activeMissions: await missionManager.getActiveMissions('all'),
+            pendingTasks: await taskQueue.getPendingTasks(),
+            projectState: await projectState.getAllComponents(),
+            tickets: await ticketManager.generateTicketReport()
+          };
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(report, null, 2),
+          },
+        ],
+        structured: { reportType: type || 'summary', report },
+      };
+    },
+  },
+  {
+    name: 'status',
+    description: 'Get current system status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Agent requesting status' }
+      }
+    },
+    async handler(args, { roleManager, missionManager, autonomousEngine }) {
+      const { agentName } = args || {};
+      const roleContext = roleManager.getRoleContext(agentName);
+      const autonomousStatus = await autonomousEngine.getAutonomousStatus();
+      const activeMissions = await missionManager.getActiveMissions('all');
+      
+      const status = {
+        role: roleContext?.role || 'Unknown',
+        autonomousStatus,
+        activeMissions: activeMissions.length,
+        timestamp: new Date().toISOString()
+      };
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(status, null, 2),
+          },
+        ],
+        structured: status,
+      };
+    },
+  },
+  {
+    name: 'diagnose_tasks',
+    description: 'Diagnose task state discrepancies between project state and actual tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    async handler(args, { taskQueue, projectState }) {
+      // Get all tasks from task queue
+      const allTasks = await taskQueue.getAllTasks();
+      const taskIds = Object.keys(allTasks);
+      
+      // Get project state
+      const projectStateData = await projectState.getFullState();
+      const projectPlan = projectStateData.components?.project_plan || {};
+      
+      // Extract task IDs from project state phases
+      const stateTaskIds = new Set();
+      if (projectPlan.phases) {
+        projectPlan.phases.forEach(phase => {
+          if (phase.tasks) {
+            phase.tasks.forEach(taskId => stateTaskIds.add(taskId));
+          }
+        });
+      }
+      
+      // Find discrepancies
+      const missingInTaskQueue = Array.from(stateTaskIds).filter(id => !taskIds.includes(id));
+      const missingInProjectState = taskIds.filter(id => !stateTaskIds.has(id));
+      
+      let diagnosis = `📊 **Task State Diagnosis**\n\n`;
+      diagnosis += `**Task Queue Status:**\n`;
+      diagnosis += `- Total tasks in queue: ${taskIds.length}\n`;
+      diagnosis += `- Task IDs: ${taskIds.length > 0 ? taskIds.join(', ') : 'NONE'}\n\n`;
+      
+      diagnosis += `**Project State Status:**\n`;
+      diagnosis += `- Total tasks in project state: ${stateTaskIds.size}\n`;
+      diagnosis += `- Task IDs: ${stateTaskIds.size > 0 ? Array.from(stateTaskIds).join(', ') : 'NONE'}\n\n`;
+      
+      diagnosis += `**Discrepancies:**\n`;
+      if (missingInTaskQueue.length > 0) {
+        diagnosis += `❌ Tasks in project state but NOT in task queue: ${missingInTaskQueue.join(', ')}\n`;
+        diagnosis += `   These tasks were referenced but never created with send_directive!\n\n`;
+      }
+      if (missingInProjectState.length > 0) {
+        diagnosis += `⚠️ Tasks in queue but NOT in project state: ${missingInProjectState.join(', ')}\n`;
+        diagnosis += `   These tasks exist but aren't tracked in the project plan.\n\n`;
+      }
+      if (missingInTaskQueue.length === 0 && missingInProjectState.length === 0) {
+        diagnosis += `✅ No discrepancies found - all tasks are properly synchronized.\n\n`;
+      }
+      
+      diagnosis += `**Recommendation:**\n`;
+      if (missingInTaskQueue.length > 0) {
+        diagnosis += `The CTO needs to create the missing tasks using send_directive or send_batch_directives.\n`;
+        diagnosis += `Example: @ai-collab send_directive {"taskId": "${missingInTaskQueue[0]}", "title": "...", "specification": "..."}\n`;
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text: diagnosis
+        }],
+        structured: {
+          taskIds,
+          stateTaskIds: Array.from(stateTaskIds),
+          missingInTaskQueue,
+          missingInProjectState,
+        }
+      };
+    },
+  },
+  {
+    name: 'reset_task_dependencies',
+    description: 'Reset task dependencies for tasks that are blocked by completed/missing tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskIds: { 
+          type: 'array', 
+          items: { type: 'string' },
+          description: 'Task IDs to reset dependencies for (or empty for all blocked tasks)'
+        }
+      }
+    },
+    async handler(args, { taskQueue }) {
+      const { taskIds } = args || {};
+      const results = await taskQueue.resetDependencies(taskIds || []);
+      const resetCount = results.filter(r => r.reset).length;
+      const messages = results.map(r => r.reset
+        ? `✅ ${r.taskId}: Unblocked (had deps: ${r.clearedDeps.join(', ')})`
+        : `⏳ ${r.taskId}: Still has active dependencies`
+      );
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `🔧 **Dependency Reset Results**\n\n` +
+                `Reset ${resetCount} task(s):\n${messages.join('\n')}\n\n` +
+                `Use 'get_all_tasks' to see the updated task list.`
+        }],
+        structured: { resetCount, results }
+      };
+    },
+  },
+  {
+    name: 'get_dependency_graph',
+    description: 'Show the task dependency graph: topological order, critical path, unknown dependencies and cycles',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    async handler(args, { taskQueue }) {
+      const tasks = await taskQueue.getAllTasks();
+      const graph = await taskQueue.getDependencyGraph();
+      
+      let text = `🔗 **Dependency Graph**\n\n`;
+      text += `- Tasks: ${Object.keys(tasks).length}, dependencies: ${graph.edges.length}\n`;
+      text += `- Topological order: ${graph.order.length > 0 ? graph.order.join(' → ') : 'NONE'}\n`;
+      text += `- Critical path (${graph.criticalPath.length} remaining task(s)): ${graph.criticalPath.length > 0 ? graph.criticalPath.join(' → ') : 'NONE'}\n`;
+      
+      if (graph.dangling.length > 0) {
+        text += `\n⚠️ Unknown dependencies (these tasks stay blocked):\n`;
+        text += graph.dangling.map(({ taskId, dependsOn }) => `- ${taskId} depends on ${dependsOn}`).join('\n');
+        text += `\nCreate the missing tasks or drop the references with reset_task_dependencies.\n`;
+      }
+      if (graph.cycle) {
+        text += `\n❌ Dependency cycle: ${graph.cycle.join(' -> ')}\n`;
+        text += `Tasks on the cycle can never become available.\n`;
+      }
+      
+      return {
+        content: [{
+          type: 'text',
+          text
+        }],
+        structured: {
+          tasks: Object.entries(tasks).map(([taskId, task]) => summarizeTask({ taskId, ...task })),
+          ...graph,
+        }
+      };
+    },
+  },
+  {
+    name: 'export_task_graph',
+    description: 'Render the task and mission graph as Mermaid and/or Graphviz DOT, color-coded by task status and grouped by plan phase',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: GRAPH_FORMATS, description: 'Output format (default: both)' }
+      }
+    },
+    async handler(args, context) {
+      const { format } = args;
+      const model = await loadGraphModel(context);
+      const formats = format ? [format] : GRAPH_FORMATS;
+      
+      const graphs = {};
+      for (const name of formats) {
+        graphs[name] = renderGraph(model, name);
+      }
+      
+      const legend = Object.keys(STATUS_COLORS).join(', ');
+      return {
+        content: [{
+          type: 'text',
+          text: `🗺️ **Task Graph** (${model.tasks.length} task(s), ${model.missions.length} mission(s))\n` +
+                `Colors by status: ${legend}. Solid arrows point from a dependency to its dependent task; dashed arrows are blockedBy.\n\n` +
+                formats.map(name => '```' + name + '\n' + graphs[name] + '```').join('\n\n')
+        }],
+        structured: graphs
+      };
+    },
+  },
+  {
+    name: 'list_projects',
+    description: 'List the projects hosted by this server',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    async handler(args, { projects }) {
+      const projectIds = await projects.listProjects();
+      return {
+        content: [{
+          type: 'text',
+          text: `📁 **Projects**\n\n` +
+                projectIds.map(id => `- ${id}${id === DEFAULT_PROJECT_ID ? ' (default)' : ''}`).join('\n') +
+                `\n\nPass "projectId" to any tool to work in a project; new IDs are created on first use.`
+        }],
+        structured: { projects: projectIds, defaultProject: DEFAULT_PROJECT_ID }
+      };
+    },
+  }
+];
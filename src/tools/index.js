@@ -0,0 +1,89 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import * as tasks from './tasks.js';
+import * as missions from './missions.js';
+import * as tickets from './tickets.js';
+import * as plans from './plans.js';
+import * as loops from './loops.js';
+import * as context from './context.js';
+import * as diagnostics from './diagnostics.js';
+
+// Every tool module exports a `tools` array of
+// { name, description, inputSchema, handler(args, context) } definitions.
+// Third-party modules follow the same shape.
+export const BUILTIN_TOOL_MODULES = {
+  tasks,
+  missions,
+  tickets,
+  plans,
+  loops,
+  context,
+  diagnostics,
+};
+
+const TOOL_MODULE_EXTENSIONS = ['.js', '.mjs'];
+
+// AI_COLLAB_TOOLS_DIR wins over `toolsDir` in config/project.json. Relative
+// paths are resolved against the workspace root.
+export async function resolveToolsDir(workspace) {
+  let toolsDir = process.env.AI_COLLAB_TOOLS_DIR;
+  if (!toolsDir) {
+    const config = await workspace.loadConfig('project.json');
+    toolsDir = config.toolsDir;
+  }
+  return toolsDir ? path.resolve(workspace.root, toolsDir) : null;
+}
+
+export async function loadToolModules(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    console.error(`Could not read tool modules directory ${directory}: ${error.message}`);
+    return [];
+  }
+
+  const modules = [];
+  const files = entries
+    .filter(entry => entry.isFile() && TOOL_MODULE_EXTENSIONS.includes(path.extname(entry.name)))
+    .map(entry => entry.name)
+    .sort();
+
+  for (const file of files) {
+    const modulePath = path.join(directory, file);
+    try {
+      const toolModule = await import(pathToFileURL(modulePath).href);
+      if (!Array.isArray(toolModule.tools)) {
+        throw new Error('module does not export a `tools` array');
+      }
+      modules.push({ name: modulePath, tools: toolModule.tools });
+    } catch (error) {
+      console.error(`Skipping tool module ${modulePath}: ${error.message}`);
+    }
+  }
+
+  return modules;
+}
+
+// Built-in tools are registered first; a third-party module that fails to
+// load or reuses a tool name is skipped as a whole instead of stopping the server
+export async function registerTools(registry, workspace) {
+  for (const toolModule of Object.values(BUILTIN_TOOL_MODULES)) {
+    registry.register(...toolModule.tools);
+  }
+
+  const toolsDir = await resolveToolsDir(workspace);
+  if (!toolsDir) {
+    return;
+  }
+
+  for (const toolModule of await loadToolModules(toolsDir)) {
+    try {
+      registry.register(...toolModule.tools);
+      console.error(`Loaded ${toolModule.tools.length} tool(s) from ${toolModule.name}`);
+    } catch (error) {
+      console.error(`Skipping tool module ${toolModule.name}: ${error.message}`);
+    }
+  }
+}
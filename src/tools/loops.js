@@ -0,0 +1,958 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { summarizeTask, summarizePlan } from './results.js';
+import { projectResourceUri } from '../projectRegistry.js';
+import { summarizeActionItems } from '../taskQueue.js';
+
+const DEFAULT_WAIT_SECONDS = 60;
+const MAX_WAIT_SECONDS = 600;
+
+const describeChange = {
+  task_available: c => `Task ${c.taskId} is available: ${c.title}`,
+  revision_requested: c => `Task ${c.taskId} needs revision: ${c.title}`,
+  submission_in_review: c => `Task ${c.taskId} was submitted for review: ${c.title}`,
+  verification_requested: c => `Task ${c.taskId} was approved and awaits verification: ${c.title}`,
+  question_asked: c => `Question ${c.questionId} on task ${c.taskId}: ${c.question}`,
+  mission_active: c => `Mission ${c.missionId} is active: ${c.title}`,
+};
+
+// Agent initialization and autonomous work loops
+export const tools = [
+  {
+    name: 'stop_autonomous_work',
+    description: 'Stop autonomous work mode',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent stopping work' }
+      },
+      required: ['agentName']
+    },
+    async handler(args, { autonomousEngine }) {
+      const { agentName } = args;
+      await autonomousEngine.stopAutonomousWork(agentName);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Autonomous work stopped for agent: ${agentName}`,
+          },
+        ],
+        structured: { agentName },
+      };
+    },
+  },
+  {
+    name: 'init',
+    description: 'Initialize agent with role-based autonomous workflow',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent initializing' },
+        autonomous: { type: 'boolean', description: 'Start autonomous loop immediately (default: false)' },
+        checkInterval: { type: 'number', description: 'Seconds between checks for autonomous mode (default: 120)' },
+        maxIterations: { type: 'number', description: 'Max iterations for autonomous mode (default: 500)' },
+        mission: { type: 'object', description: 'Ad-hoc mission to execute (pauses main project plan)' },
+        createProjectPlan: { type: 'boolean', description: 'Create new project plan from requirements (default: false)' }
+      },
+      required: ['agentName']
+    },
+    async handler(args, {
+      projectId,
+      workspace,
+      roleManager,
+      taskQueue,
+      missionManager,
+      autonomousEngine,
+      ticketManager,
+      contextManager,
+      loopStateManager,
+      projectPlanManager,
+    }) {
+      const { agentName, autonomous = false, checkInterval = 120, maxIterations = 500, mission = null, createProjectPlan = false } = args;
+      const workResourceUri = projectResourceUri(projectId, `agents/${agentName}/work`);
+      
+      // Get agent's role and context
+      const roleContext = roleManager.getRoleContext(agentName);
+      if (!roleContext) {
+        throw new Error(`No role assigned to agent: ${agentName}`);
+      }
+      
+      // Capture current state and generate summary
+      await contextManager.captureCurrentState();
+      const contextSummary = await contextManager.generateOnboardingSummary();
+      const ticketReport = await ticketManager.generateTicketReport();
+      const activeMissions = await missionManager.getActiveMissions('all');
+      
+      // Build context summary
+      let contextInfo = `I'm ${roleContext.role}. Current project state:\n`;
+      
+      const allTasks = Object.values(await taskQueue.getAllTasks());
+      const pendingReviews = allTasks.filter(t => 
+        t.status === 'in_review' && 
+        t.submissions && 
+        t.submissions.some(s => s.status === 'pending_review')
+      );
+      
+      // Get role-specific task counts
+      if (roleContext.role === 'Chief Technology Officer') {
+        contextInfo += `- Active missions: ${contextSummary.currentState.activeMissions.length}\n`;
+        contextInfo += `- Tasks pending review: ${pendingReviews.length}\n`;
+        contextInfo += `- Critical tickets: ${ticketReport.details.criticalItems.length}\n`;
+        contextInfo += `- Blockers: ${contextSummary.currentState.blockers.length}`;
+      } else if (roleContext.role === 'Senior Developer') {
+        const developerTasks = await taskQueue.getPendingTasks('developer', agentName);
+        contextInfo += `- Active missions: ${contextSummary.currentState.activeMissions.length}\n`;
+        contextInfo += `- Tasks to implement: ${developerTasks.length}\n`;
+        contextInfo += `- Critical tickets: ${ticketReport.details.criticalItems.length}\n`;
+        contextInfo += `- Blockers: ${contextSummary.currentState.blockers.length}`;
+      } else {
+        contextInfo += `- Active missions: ${contextSummary.currentState.activeMissions.length}\n`;
+        contextInfo += `- Pending tasks: ${contextSummary.currentState.inProgressTasks.length}\n`;
+        contextInfo += `- Critical tickets: ${ticketReport.details.criticalItems.length}\n`;
+        contextInfo += `- Blockers: ${contextSummary.currentState.blockers.length}`;
+      }
+      
+      // Add role-specific instructions
+      let instructions = '\n\n**IMPORTANT: How to use this system:**\n';
+      
+      // Check if any work exists to help decide on autonomous mode
+      const work = await autonomousEngine.getWorkForAgent(agentName);
+      const hasWork = work.tasks && work.tasks.length > 0;
+      
+      // Add autonomous loop option only if not already starting
+      if (!autonomous) {
+        instructions += '\n**NEW: Autonomous Mode Available!**\n';
+        instructions += 'Start autonomous mode to continuously check for work:\n';
+        instructions += `@ai-collab start_autonomous_loop {"agentName": "${agentName}"}\n\n`;
+      }
+      
+      // If autonomous mode requested, start it after init
+      let autonomousMessage = '';
+      let loopState = loopStateManager.getLoopState(agentName) || null;
+      if (autonomous) {
+        loopState = await loopStateManager.startLoop(agentName, {
+          mode: roleContext.role.toLowerCase().replace(/\s+/g, '_'),
+          checkInterval,
+          maxIterations,
+          continuous: true // Enable continuous mode
+        });
+        
+        autonomousMessage = `\n\n**🚀 AUTONOMOUS MODE STARTED!**\n`;
+        autonomousMessage += `I will check for work every ${checkInterval} seconds for up to ${maxIterations} iterations.\n`;
+        autonomousMessage += `\n**IMPORTANT**: This is a MANUAL autonomous loop:\n`;
+        autonomousMessage += `1. YOU must run the check command every ${checkInterval} seconds\n`;
+        autonomousMessage += `2. Command: @ai-collab get_loop_status {"agentName": "${agentName}"}\n`;
+        autonomousMessage += `3. I will guide you on what to do based on available work\n`;
+        autonomousMessage += `4. Continue until all work is complete or ${maxIterations} iterations\n`;
+        autonomousMessage += `\n⏱️ Set a timer for ${checkInterval} seconds and run the command when it expires.`;
+        autonomousMessage += `\nIf your MCP client supports resource subscriptions, subscribe to ${workResourceUri} instead - you will be notified when there is work for your role.`;
+        autonomousMessage += `\n\n⚠️ **IMPORTANT WARNINGS:**`;
+        autonomousMessage += `\n- DO NOT run blocking commands (npm start, server processes, etc.)`;
+        autonomousMessage += `\n- If you get stuck, press Ctrl+C to stop any running process`;
+        autonomousMessage += `\n- Always run processes in background with & or use separate terminals`;
+        autonomousMessage += `\n\nStarting iteration 1/${maxIterations}...`;
+      }
+      
+      // Machine-readable summary returned with every init response
+      const structured = {
+        agentName,
+        role: roleContext.role,
+        activeMissions: activeMissions.map(m => m.id),
+        pendingTasks: work.tasks.map(summarizeTask),
+        nextTask: summarizeTask(await taskQueue.getNextWorkableTask({ name: agentName, role: roleManager.getAgentRole(agentName) })),
+        pendingReviews: pendingReviews.map(t => t.taskId),
+        criticalTickets: ticketReport.details.criticalItems.map(t => t.id),
+        loopState,
+        workResourceUri,
+      };
+      
+      // Role-specific auto-start behavior
+      if (roleContext.role === 'Chief Technology Officer') {
+        instructions += '\nAs CTO, you create tasks for developers using MCP commands:\n';
+        instructions += '- Create tasks: `@ai-collab send_directive {"title": "...", "specification": "...", "requirements": [...], "acceptanceCriteria": [...]}` (the task ID is generated)\n';
+        instructions += '- Review work: `@ai-collab review_work {"taskId": "KAN-XXX", "status": "approved|needs_revision", "feedback": "..."}`\n';
+        instructions += '- Check progress: `@ai-collab get_all_tasks {}`\n';
+        instructions += '\n**IMPORTANT DISTINCTIONS:**\n';
+        instructions += '- **Tasks (KAN-XXX)**: Work assignments that developers implement\n';
+        instructions += '- **Tickets (BUG-XXX, ENH-XXX)**: Issue tracking and documentation\n';
+        instructions += '\n**WORKFLOW:**\n';
+        instructions += '1. Create tickets to document bugs/enhancements (optional)\n';
+        instructions += '2. Create tasks for developers to implement fixes/features\n';
+        instructions += '3. Review submitted work and approve/reject\n';
+        instructions += '\n**DO NOT create tasks as files. Use the MCP commands above.**';
+        
+        if (activeMissions.length > 0) {
+          // Resume active missions
+          const mission = activeMissions[0];
+          contextInfo += `\n\nResuming mission: "${mission.title}" (iteration ${mission.iterations}/${mission.maxIterations})`;
+          contextInfo += instructions;
+          contextInfo += `\n\nI'll continue monitoring progress and reviewing submissions.`;
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: contextInfo + autonomousMessage,
+              },
+            ],
+            structured,
+          };
+        } else if (ticketReport.details.criticalItems.length > 0) {
+          // No active missions but critical tickets exist
+          const criticalTickets = ticketReport.details.criticalItems.slice(0, 3).map(t => 
+            `- ${t.id}: ${t.data.title}`
+          ).join('\n');
+          
+          contextInfo += `\n\nNo active missions, but there are critical tickets:\n${criticalTickets}`;
+          contextInfo += instructions;
+          contextInfo += `\n\nWhat should be today's mission? Please provide a clear objective, or I can address these critical tickets.`;
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: contextInfo + autonomousMessage,
+              },
+            ],
+            structured,
+          };
+        } else {
+          // No active work - check for project plan or create one
+          const activePlan = await projectPlanManager.getActivePlan();
+          
+          if (activePlan) {
+            // Continue with existing project plan
+            const nextPhase = await projectPlanManager.getNextPhase(activePlan.id);
+            if (nextPhase) {
+              contextInfo += `\n\n**📝 CONTINUING PROJECT PLAN: ${activePlan.title}**\n\n`;
+              contextInfo += `Progress: Phase ${nextPhase.phaseNumber}/${nextPhase.totalPhases}\n`;
+              contextInfo += `Current Phase: ${nextPhase.phase.name}\n`;
+              contextInfo += `Description: ${nextPhase.phase.description}\n\n`;
+              
+              contextInfo += `**NEXT TASKS TO CREATE:**\n`;
+              nextPhase.phase.tasks.forEach((task, index) => {
+                contextInfo += `${index + 1}. ${task.title} (${task.priority} priority)\n`;
+              });
+              
+              contextInfo += `\n**RECOMMENDED ACTION:**\n`;
+              contextInfo += `Create the first task from this phase using @ai-collab send_directive\n`;
+              contextInfo += instructions;
+            } else {
+              contextInfo += `\n\n**🎉 PROJECT PLAN COMPLETE!**\n`;
+              contextInfo += `All ${activePlan.phases.length} phases have been completed.\n`;
+              contextInfo += `Total tasks completed: ${activePlan.completedTasks}\n\n`;
+              contextInfo += `Consider creating a new project plan or ad-hoc missions.`;
+              contextInfo += instructions;
+            }
+          } else if (createProjectPlan || !mission) {
+            // Create a new project plan
+            contextInfo += `\n\n**🚀 CREATING COMPREHENSIVE PROJECT PLAN**\n\n`;
+            
+            // Check if PROJECT_REQUIREMENTS.md exists
+            let requirements = null;
+            try {
+              requirements = await fs.readFile(path.join(workspace.root, 'PROJECT_REQUIREMENTS.md'), 'utf8');
+            } catch (e) {
+              // No requirements file
+            }
+            
+            if (requirements) {
+              // Extract project name from requirements or use directory name
+              const projectDir = path.basename(workspace.root);
+              let projectName = projectDir;
+              
+              // Try to extract project name from requirements
+              const titleMatch = requirements.match(/^#\s+(.+?)\s*-\s*Project Requirements/m);
+              if (titleMatch) {
+                projectName = titleMatch[1];
+              }
+              
+              // Generate phases based on requirements
+              const phases = await projectPlanManager.generatePhaseBreakdown(requirements);
+              const plan = await projectPlanManager.createProjectPlan({
+                title: `${projectName} Development Plan`,
+                description: `Comprehensive development plan for the ${projectName} project`,
+                createdBy: agentName,
+                phases,
+                projectRequirements: requirements
+              });
+              
+              contextInfo += `Created ${plan.phases.length}-phase project plan with ${plan.totalTasks} total tasks:\n\n`;
+              plan.phases.forEach((phase, index) => {
+                contextInfo += `**Phase ${index + 1}: ${phase.name}**\n`;
+                contextInfo += `- ${phase.tasks.length} tasks, ${phase.estimatedDuration}\n`;
+              });
+              
+              contextInfo += `\n**STARTING WITH PHASE 1**\n`;
+              contextInfo += `Create the first task to begin development!`;
+              contextInfo += instructions;
+            } else {
+              contextInfo += `No PROJECT_REQUIREMENTS.md found. Please provide project requirements or create an ad-hoc mission.`;
+              contextInfo += instructions;
+            }
+          } else if (mission) {
+            // Create ad-hoc mission that pauses the main plan
+            await projectPlanManager.pauseCurrentPlan();
+            const adHocPlan = await projectPlanManager.createAdHocMission({
+              title: mission.title || mission,
+              description: mission.description || mission,
+              specification: mission.specification || mission,
+              requirements: mission.requirements || [],
+              acceptanceCriteria: mission.acceptanceCriteria || [],
+              createdBy: agentName
+            });
+            
+            contextInfo += `\n\n**🎯 AD-HOC MISSION CREATED**\n\n`;
+            contextInfo += `Mission: ${adHocPlan.title}\n`;
+            contextInfo += `The main project plan has been paused.\n\n`;
+            contextInfo += `**CREATE TASK FOR THIS MISSION:**\n`;
+            contextInfo += `Use @ai-collab send_directive to create implementation tasks.`;
+            contextInfo += instructions;
+          }
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: contextInfo + autonomousMessage,
+              },
+            ],
+            structured: {
+              ...structured,
+              plan: summarizePlan(await projectPlanManager.getActivePlan()),
+            },
+          };
+        }
+      } else if (roleContext.role === 'Senior Developer') {
+        instructions += '\nAs Developer, you work on tasks using MCP commands:\n';
+        instructions += '- Check tasks: `@ai-collab get_all_tasks {"role": "developer"}`\n';
+        instructions += '- Submit work: `@ai-collab submit_work {"taskId": "TASK-XXX", "summary": "...", "files": {...}}`\n';
+        instructions += '- Ask questions: `@ai-collab ask_question {"taskId": "TASK-XXX", "question": "..."}`\n';
+        instructions += '\n**Tasks are created by the CTO through MCP commands, not as files.**';
+        
+        if (work.tasks.length > 0) {
+          // Has pending work - auto-start
+          contextInfo += `\n\nI have ${work.tasks.length} pending tasks. Starting autonomous work now.`;
+          contextInfo += instructions;
+          contextInfo += `\nI'll implement solutions, submit for review, and continuously check for new tasks.`;
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: contextInfo + autonomousMessage,
+              },
+            ],
+            structured,
+          };
+        } else if (activeMissions.length > 0) {
+          // No tasks yet but missions are active
+          contextInfo += `\n\nNo tasks assigned yet, but there are active missions. I'll wait for tasks to be created.`;
+          contextInfo += instructions;
+          contextInfo += `\nI'll continuously check for work to arrive using @ai-collab get_all_tasks.`;
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: contextInfo + autonomousMessage,
+              },
+            ],
+            structured,
+          };
+        } else {
+          // No work at all
+          contextInfo += `\n\nNo pending tasks or active missions. Waiting for work to be assigned.`;
+          contextInfo += instructions;
+          contextInfo += `\nI'll start checking for tasks once a mission is created.`;
+          
+          return {
+            content: [
+              {
+                type: 'text',
+                text: contextInfo + autonomousMessage,
+              },
+            ],
+            structured,
+          };
+        }
+      } else {
+        // Other roles
+        contextInfo += `\n\nReady to begin work. My responsibilities include:\n`;
+        contextInfo += roleContext.responsibilities.slice(0, 3).map(r => `- ${r}`).join('\n');
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: contextInfo,
+            },
+          ],
+          structured,
+        };
+      }
+    },
+  },
+  {
+    name: 'start_autonomous_loop',
+    description: 'Start an autonomous work loop that continuously checks for and processes work',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent starting the loop' },
+        mode: { type: 'string', enum: ['continuous', 'developer', 'cto'], description: 'Type of autonomous loop' },
+        checkInterval: { type: 'number', description: 'Seconds between checks (default: 30)' },
+        maxIterations: { type: 'number', description: 'Maximum loop iterations (default: 100)' }
+      },
+      required: ['agentName']
+    },
+    async handler(args, { projectId, roleManager, loopStateManager }) {
+      const { agentName, mode, checkInterval, maxIterations } = args;
+      const workResourceUri = projectResourceUri(projectId, `agents/${agentName}/work`);
+      
+      // Get agent's role
+      const roleContext = roleManager.getRoleContext(agentName);
+      if (!roleContext) {
+        throw new Error(`No role assigned to agent: ${agentName}`);
+      }
+      
+      // Start the loop
+      const loopState = await loopStateManager.startLoop(agentName, {
+        mode: mode || roleContext.role.toLowerCase().replace(/\s+/g, '_'),
+        checkInterval,
+        maxIterations
+      });
+      
+      // Build instructions for the agent
+      let instructions = `Autonomous loop started! I will check for work every ${loopState.checkInterval} seconds.\n\n`;
+      instructions += `**IMPORTANT INSTRUCTIONS FOR AUTONOMOUS OPERATION:**\n\n`;
+      instructions += `1. After this message, wait ${loopState.checkInterval} seconds\n`;
+      instructions += `2. Then run: @ai-collab get_loop_status {"agentName": "${agentName}"}\n`;
+      instructions += `3. If loop is still active, check for work:\n`;
+      
+      if (roleContext.role === 'Senior Developer') {
+        instructions += `   - Run: @ai-collab get_all_tasks {"role": "developer"}\n`;
+        instructions += `   - If tasks exist, work on them and submit\n`;
+        instructions += `   - If no tasks, wait and check again\n`;
+      } else if (roleContext.role === 'Chief Technology Officer') {
+        instructions += `   - Check for pending reviews: @ai-collab get_all_tasks {}\n`;
+        instructions += `   - Review any submissions\n`;
+        instructions += `   - Create new tasks as needed\n`;
+      }
+      
+      instructions += `4. After each action, increment the loop: @ai-collab get_loop_status {"agentName": "${agentName}"}\n`;
+      instructions += `5. Repeat until loop stops or max iterations (${loopState.maxIterations}) reached\n\n`;
+      instructions += `Loop will automatically stop after ${loopState.maxIterations} iterations.\n`;
+      instructions += `Clients that support resource subscriptions can subscribe to ${workResourceUri} instead of polling.`;
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: instructions,
+          },
+        ],
+        structured: { agentName, loopState, workResourceUri },
+      };
+    },
+  },
+  {
+    name: 'stop_autonomous_loop',
+    description: 'Stop the autonomous work loop',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent stopping the loop' }
+      },
+      required: ['agentName']
+    },
+    async handler(args, { loopStateManager }) {
+      const { agentName } = args;
+      const stoppedState = await loopStateManager.stopLoop(agentName);
+      
+      if (!stoppedState) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No active loop found for agent: ${agentName}`,
+            },
+          ],
+          structured: { agentName, loopState: null },
+        };
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Autonomous loop stopped. Completed ${stoppedState.currentIteration} iterations.`,
+          },
+        ],
+        structured: { agentName, loopState: stoppedState },
+      };
+    },
+  },
+  {
+    name: 'get_loop_status',
+    description: 'Get the current status of the autonomous loop',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent to check' }
+      },
+      required: ['agentName']
+    },
+    async handler(args, { projectId, roleManager, taskQueue, autonomousEngine, loopStateManager, projectPlanManager }) {
+      const { agentName } = args;
+      const workResourceUri = projectResourceUri(projectId, `agents/${agentName}/work`);
+      let loopState = loopStateManager.getLoopState(agentName);
+      
+      if (!loopState) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No loop state found for agent: ${agentName}`,
+            },
+          ],
+          structured: { agentName, loopState: null },
+        };
+      }
+      
+      // Auto-increment iteration when checking status
+      if (loopState.isActive) {
+        loopState = await loopStateManager.incrementIteration(agentName);
+      }
+      
+      // Get agent's role and check for work
+      const roleContext = roleManager.getRoleContext(agentName);
+      const work = await autonomousEngine.getWorkForAgent(agentName);
+      
+      // Always use actual role, not stored mode
+      const actualMode = roleContext.role.toLowerCase().replace(/\s+/g, '_');
+      
+      let status = `Loop Status for ${agentName}:\n`;
+      status += `- Active: ${loopState.isActive}\n`;
+      status += `- Mode: ${actualMode} (Role: ${roleContext.role})\n`;
+      status += `- Iteration: ${loopState.currentIteration}/${loopState.maxIterations}\n`;
+      
+      if (!loopState.isActive) {
+        status += `- Stopped at: ${loopState.stoppedAt || 'Unknown'}\n`;
+        status += `- Stop reason: ${loopState.stopReason || 'Manual stop'}\n`;
+        return {
+          content: [
+            {
+              type: 'text',
+              text: status,
+            },
+          ],
+          structured: {
+            agentName,
+            role: roleContext.role,
+            workFound: false,
+            nextTask: null,
+            pendingReviews: [],
+            loopState,
+          },
+        };
+      }
+      
+      // Check for work based on role
+      let workFound = false;
+      let instructions = '';
+      let nextTask = null;
+      let pendingReviews = [];
+      let pendingVerifications = [];
+      
+      // The work list comes from the workflow stages the agent's role owns
+      const agent = { name: agentName, role: roleManager.getAgentRole(agentName) };
+      const stageWork = await taskQueue.getPendingTasks(agent.role, agentName);
+      
+      // The CTO also plans the project, unless a stage gives it tasks to work
+      // on or verify
+      if (roleContext.role === 'Chief Technology Officer' && !stageWork.some(t => t.type === 'directive' || t.type === 'verification')) {
+        // Check for pending reviews
+        const allTasksObj = await taskQueue.getAllTasks();
+        const allTasks = Object.values(allTasksObj);
+        pendingReviews = stageWork.filter(t => t.type === 'review').map(t => allTasksObj[t.taskId]);
+        
+        if (pendingReviews.length > 0) {
+          workFound = true;
+          instructions = `\n\n**🔔 WORK REQUIRING YOUR ATTENTION:**\n`;
+          instructions += `Found ${pendingReviews.length} task(s) pending review:\n`;
+          
+          for (const task of pendingReviews) {
+            instructions += `\n📋 Task ${task.taskId}: ${task.title}\n`;
+            const submission = task.submissions.findLast(s => s.status === 'pending_review');
+            if (submission) {
+              instructions += `   Submitted: ${new Date(submission.submittedAt).toLocaleString()}\n`;
+              instructions += `   Summary: ${submission.summary}\n`;
+              if (submission.commit) {
+                instructions += `   Commit: ${submission.commit.slice(0, 7)} on ${submission.branch}\n`;
+              }
+              if (submission.diff && !submission.diff.error) {
+                instructions += `   Changes: ${submission.diff.stat || 'none'} (${projectResourceUri(projectId, `tasks/${task.taskId}/diff`)})\n`;
+              }
+            }
+            
+            // Approved, but the merge failed for a reason only the repository can fix
+            const { failedMerge } = stageWork.find(t => t.taskId === task.taskId);
+            if (failedMerge) {
+              instructions += `   ⚠️ Approved, but merging ${failedMerge.branch} into ${failedMerge.into} failed: ${failedMerge.error}\n`;
+              instructions += `   Fix the repository, then: @ai-collab retry_merge {"taskId": "${task.taskId}", "agentName": "${agentName}"}\n`;
+              continue;
+            }
+            
+            const approval = await taskQueue.getApprovalStatus(task.taskId);
+            if (approval.approvedBy.length > 0) {
+              instructions += `   Approved by: ${approval.approvedBy.map(a => a.reviewer).join(', ')}; still needs ${approval.approvalsNeeded} more` +
+                (approval.missingRoles.length > 0 ? ` (from ${approval.missingRoles.join(', ')})` : '') + `\n`;
+            }
+            
+            // Re-reviews only need to check the items from the last round
+            const { open, resolvedInLatest } = summarizeActionItems(task);
+            if (resolvedInLatest.length > 0) {
+              instructions += `   Resolved in this submission (verify):\n`;
+              resolvedInLatest.forEach(item => { instructions += `   ✓ ${item.itemId}: ${item.text}\n`; });
+            }
+            if (open.length > 0) {
+              instructions += `   Still open:\n`;
+              open.forEach(item => { instructions += `   ✗ ${item.itemId}: ${item.text}\n`; });
+            }
+          }
+          
+          instructions += `\n**NEXT ACTION:** Review the submission(s) above using:\n`;
+          instructions += `@ai-collab review_work {"taskId": "<TASK_ID>", "status": "approved|needs_revision", "feedback": "..."}\n`;
+          instructions += `(Add "reopenActionItems": ["ITEM-1"] for items that are not actually resolved.)\n`;
+        } else {
+          // Check for questions that need answers
+          const unansweredQuestions = await taskQueue.getUnansweredQuestions();
+          if (unansweredQuestions.length > 0) {
+            workFound = true;
+            instructions = `\n\n**🔔 QUESTIONS REQUIRING YOUR ATTENTION:**\n`;
+            instructions += `Found ${unansweredQuestions.length} unanswered question(s).\n`;
+            instructions += `\n**NEXT ACTION:** Check questions with @ai-collab get_all_questions {}\n`;
+          } else {
+            // Check if we should create new tasks based on project progress
+            const completedTasks = allTasks.filter(t => t.status === 'completed');
+            const pendingTasks = allTasks.filter(t => t.status === 'pending' || t.status === 'in_progress' || t.status === 'available');
+            const inProgressTasks = allTasks.filter(t => ['in_progress', 'in_review', 'in_verification'].includes(t.status));
+            
+            if (pendingTasks.length === 0 && inProgressTasks.length === 0) {
+              // No work in progress, CTO should create next tasks
+              workFound = true;
+              
+              // Check for active project plan
+              const activePlan = await projectPlanManager.getActivePlan();
+              
+              if (activePlan) {
+                const nextPhase = await projectPlanManager.getNextPhase(activePlan.id);
+                
+                if (nextPhase) {
+                  // Check if tasks from this phase already exist
+                  const phaseTaskTitles = nextPhase.phase.tasks.map(t => t.title.toLowerCase());
+                  const existingTitles = completedTasks.map(t => t.title.toLowerCase());
+                  
+                  // Filter out tasks that already exist
+                  const newTasks = nextPhase.phase.tasks.filter(task => {
+                    const taskTitle = task.title.toLowerCase();
+                    // Check for exact or similar matches
+                    const alreadyExists = existingTitles.some(existing => {
+                      return existing.includes('drag') && taskTitle.includes('drag') ||
+                             existing.includes('drag-and-drop') && taskTitle.includes('drag-and-drop') ||
+                             existing === taskTitle ||
+                             (existing.includes(taskTitle.split(' ').slice(0, 3).join(' ')));
+                    });
+                    return !alreadyExists;
+                  });
+                  
+                  if (newTasks.length === 0) {
+                    // All tasks in this phase are complete, move to next phase
+                    instructions = `\n\n**✅ PHASE COMPLETE:**\n`;
+                    instructions += `All tasks in Phase ${nextPhase.phaseNumber} (${nextPhase.phase.name}) are already implemented!\n`;
+                    instructions += `\n**NEXT ACTION:** Update plan progress to move to next phase:\n`;
+                    instructions += `@ai-collab update_plan_progress {"phaseComplete": true}\n`;
+                    
+                    // Update plan progress automatically
+                    await projectPlanManager.updatePlanProgress(activePlan.id, {
+                      currentPhaseComplete: true,
+                      completedTasks: completedTasks.length
+                    });
+                  } else {
+                    instructions = `\n\n**📝 PROJECT PLAN - NEXT PHASE READY:**\n`;
+                    instructions += `\nPlan: ${activePlan.title}\n`;
+                    instructions += `Progress: Phase ${nextPhase.phaseNumber}/${nextPhase.totalPhases}\n`;
+                    instructions += `\n**CURRENT PHASE: ${nextPhase.phase.name}**\n`;
+                    instructions += `${nextPhase.phase.description}\n\n`;
+                    
+                    instructions += `**COMPLETED FROM THIS PHASE:**\n`;
+                    const completedInPhase = nextPhase.phase.tasks.filter(t => !newTasks.includes(t));
+                    completedInPhase.forEach(task => {
+                      instructions += `✓ ${task.title}\n`;
+                    });
+                    
+                    instructions += `\n**TASKS TO CREATE FOR THIS PHASE:**\n`;
+                    newTasks.forEach((task, index) => {
+                      instructions += `${index + 1}. ${task.title}\n`;
+                      instructions += `   Type: ${task.type}, Priority: ${task.priority}\n`;
+                    });
+                    
+                    instructions += `\n**NEXT ACTION:** Create the first task from this phase:\n`;
+                    const firstTask = newTasks[0];
+                    instructions += `@ai-collab send_directive {\n`;
+                    instructions += `  "title": "${firstTask.title}",\n`;
+                    instructions += `  "specification": "${firstTask.specification || firstTask.title}",\n`;
+                    instructions += `  "requirements": [...],\n`;
+                    instructions += `  "acceptanceCriteria": [...]\n`;
+                    instructions += `}\n`;
+                  }
+                  
+                  // Update plan progress
+                  await projectPlanManager.updatePlanProgress(activePlan.id, {
+                    completedTasks: completedTasks.length
+                  });
+                } else {
+                  instructions = `\n\n**🎉 PROJECT PLAN COMPLETE!**\n`;
+                  instructions += `\nAll ${activePlan.phases.length} phases completed successfully!\n`;
+                  instructions += `Total tasks completed: ${completedTasks.length}\n\n`;
+                  instructions += `**OPTIONS:**\n`;
+                  instructions += `1. Create a new project plan\n`;
+                  instructions += `2. Create ad-hoc missions for enhancements\n`;
+                  instructions += `3. Stop the autonomous loop\n`;
+                }
+              } else {
+                // Fallback to old logic if no project plan exists
+                instructions = `\n\n**📝 PROJECT PLANNING NEEDED:**\n`;
+                instructions += `No active project plan found. Consider creating one with:\n`;
+                instructions += `@ai-collab init {"agentName": "${agentName}", "createProjectPlan": true}\n`;
+              }
+            } else if (pendingTasks.length > 0) {
+              instructions = `\n\n⏳ ${pendingTasks.length} task(s) pending developer work.\n`;
+              instructions += `Waiting for developer to pick up and implement...\n`;
+            } else {
+              instructions = `\n\n✅ No pending reviews or questions.\n`;
+              instructions += `${inProgressTasks.length} task(s) in progress. Waiting for submissions...\n`;
+            }
+          }
+        }
+      } else {
+        // Developers, and any other role that owns a workflow stage, check
+        // for tasks to work on, verify or review
+        const developerTasks = stageWork;
+        const nextWorkableTask = await taskQueue.getNextWorkableTask(agent);
+        
+        if (nextWorkableTask) {
+          workFound = true;
+          instructions = `\n\n**🔔 WORK AVAILABLE:**\n`;
+          instructions += `Found ${developerTasks.length} task(s) to implement:\n`;
+          
+          // Show priority task first
+          instructions += `\n🎯 **PRIORITY TASK:**\n`;
+          instructions += `📋 Task ${nextWorkableTask.taskId}: ${nextWorkableTask.title}\n`;
+          instructions += `   Priority: ${nextWorkableTask.priority || 'medium'}\n`;
+          instructions += `   Status: ${nextWorkableTask.status}\n`;
+          if (nextWorkableTask.dependsOn?.length > 0) {
+            instructions += `   Dependencies: All met ✓\n`;
+          }
+          const { open: openItems } = summarizeActionItems(nextWorkableTask);
+          if (openItems.length > 0) {
+            instructions += `   Action items to address:\n`;
+            openItems.forEach(item => { instructions += `   • ${item.itemId}: ${item.text}\n`; });
+            instructions += `   List the ones you fix in submit_work as "resolvedActionItems".\n`;
+          }
+          
+          // Show other available tasks
+          const otherTasks = developerTasks.filter(t => t.taskId !== nextWorkableTask.taskId);
+          if (otherTasks.length > 0) {
+            instructions += `\n📋 **OTHER AVAILABLE TASKS:**\n`;
+            for (const task of otherTasks.slice(0, 2)) {
+              instructions += `• ${task.taskId}: ${task.title} (${task.priority || 'medium'})\n`;
+            }
+          }
+          
+          instructions += `\n**🚀 CONTINUOUS WORK MODE:**\n`;
+          instructions += `I will now:\n`;
+          instructions += `1. Work on ${nextWorkableTask.taskId} immediately\n`;
+          instructions += `2. Submit the work when complete\n`;
+          instructions += `3. Automatically move to the next available task\n`;
+          instructions += `4. Continue until all available tasks are complete\n`;
+          
+          instructions += `\n**NEXT ACTION:** Starting work on ${nextWorkableTask.taskId} now...\n`;
+          instructions += `\n💡 **TIP**: After submitting this task, you'll automatically see the next available task!`;
+          
+          // Claim the task so no other agent picks it up; checking in on a
+          // task the agent already holds renews its lease
+          nextTask = nextWorkableTask.status === 'in_progress' && !nextWorkableTask.lease
+            ? nextWorkableTask
+            : await taskQueue.claimTask(agent, nextWorkableTask.taskId);
+        } else if (developerTasks.some(t => t.type === 'verification')) {
+          // With the verification stage on, QA checks approved tasks before
+          // they complete
+          const verifications = developerTasks.filter(t => t.type === 'verification');
+          workFound = true;
+          pendingVerifications = verifications.map(t => t.taskId);
+          
+          instructions = `\n\n**🧪 TASKS AWAITING VERIFICATION:**\n`;
+          for (const task of verifications) {
+            instructions += `\n📋 Task ${task.taskId}: ${task.title}\n`;
+            instructions += `   Summary: ${task.latestSubmission?.summary || 'n/a'}\n`;
+            instructions += `   Approved by: ${task.approvedBy.map(a => a.reviewer).join(', ') || 'nobody'}\n`;
+            task.acceptanceCriteria.forEach(criterion => { instructions += `   ✓ ${criterion}\n`; });
+          }
+          instructions += `\n**NEXT ACTION:** Run the tests, then record the result with:\n`;
+          instructions += `@ai-collab verify_task {"taskId": "<TASK_ID>", "passed": true, "evidence": {"testsRun": 12, "testsFailed": 0, "notes": "..."}, "agentName": "${agentName}"}\n`;
+          instructions += `On a failure, pass "passed": false and a "bug" ({ title, description, stepsToReproduce, expectedBehavior, actualBehavior, severity }); a bug ticket is filed and the task reopened.\n`;
+        } else if (developerTasks.some(t => t.type === 'review')) {
+          // Approval policies that require this agent's role list the
+          // submissions it still has to review
+          const reviews = developerTasks.filter(t => t.type === 'review');
+          const allTasksObj = await taskQueue.getAllTasks();
+          workFound = true;
+          pendingReviews = reviews.map(review => allTasksObj[review.taskId]);
+          
+          instructions = `\n\n**🔔 REVIEWS REQUESTED FROM ${agent.role}:**\n`;
+          for (const review of reviews) {
+            instructions += `\n📋 Task ${review.taskId}: ${review.title}\n`;
+            instructions += `   Summary: ${review.latestSubmission?.summary || 'n/a'}\n`;
+            instructions += `   Approved so far by: ${review.approval.approvedBy.map(a => a.reviewer).join(', ') || 'nobody'}\n`;
+          }
+          instructions += `\n**NEXT ACTION:** Review with:\n`;
+          instructions += `@ai-collab review_work {"taskId": "<TASK_ID>", "status": "approved|needs_revision", "feedback": "...", "agentName": "${agentName}"}\n`;
+        } else {
+          // Check if waiting for review responses
+          const allTasksObj = await taskQueue.getAllTasks();
+          const allTasks = Object.values(allTasksObj);
+          const inReview = allTasks.filter(t => 
+            t.status === 'in_review' && 
+            t.submissions && 
+            t.submissions.some(s => s.status === 'pending_review')
+          );
+          
+          const blockedTasks = allTasks.filter(t => t.status === 'blocked');
+          pendingReviews = inReview;
+          
+          if (inReview.length > 0) {
+            instructions = `\n\n⏳ Waiting for review on ${inReview.length} submission(s).\n`;
+            instructions += `Will check again for new tasks or review feedback...\n`;
+          } else if (blockedTasks.length > 0) {
+            instructions = `\n\n🚧 ${blockedTasks.length} task(s) are blocked by dependencies:\n`;
+            for (const task of blockedTasks.slice(0, 3)) {
+              instructions += `• ${task.taskId}: Waiting for ${task.dependsOn.join(', ')}\n`;
+            }
+            instructions += `\nWill check again when dependencies are resolved...\n`;
+          } else {
+            instructions = `\n\n✅ No pending tasks.\n`;
+            instructions += `Waiting for new assignments...\n`;
+          }
+        }
+      }
+      
+      // Calculate time until next check
+      const secondsUntilNext = Math.max(0, Math.floor((new Date(loopState.nextCheckAt) - new Date()) / 1000));
+      
+      status += `\n${instructions}`;
+      status += `\n⏰ Next automatic check in ${secondsUntilNext} seconds.`;
+      status += `\nTo continue the loop, wait ${secondsUntilNext} seconds then run:\n`;
+      status += `@ai-collab get_loop_status {"agentName": "${agentName}"}\n`;
+      status += `(Or subscribe to ${workResourceUri} to be notified when work arrives.)\n`;
+      
+      // Add reminder about automatic continuation
+      if (loopState.currentIteration > 2 && !workFound) {
+        status += `\n⚠️ **REMINDER**: The autonomous loop requires you to manually run the get_loop_status command.\n`;
+        status += `Continue checking every ${loopState.checkInterval} seconds until work appears or max iterations reached.\n`;
+      }
+      
+      // Suggest stopping if no work for many iterations
+      if (loopState.consecutiveEmptyChecks > 10) {
+        status += `\n💡 **TIP**: No work found for ${loopState.consecutiveEmptyChecks} checks. Consider:\n`;
+        status += `- Stopping the loop: @ai-collab stop_autonomous_loop {"agentName": "${agentName}"}\n`;
+        status += `- Or wait for the other agent to complete their work\n`;
+      }
+      
+      // Update loop state with work status
+      if (workFound) {
+        await loopStateManager.updateLoop(agentName, {
+          lastWorkFound: new Date().toISOString(),
+          consecutiveEmptyChecks: 0
+        });
+      } else {
+        const currentEmptyChecks = loopState.consecutiveEmptyChecks || 0;
+        await loopStateManager.updateLoop(agentName, {
+          consecutiveEmptyChecks: currentEmptyChecks + 1
+        });
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: status,
+          },
+        ],
+        structured: {
+          agentName,
+          role: roleContext.role,
+          workFound,
+          nextTask: summarizeTask(nextTask),
+          pendingReviews: pendingReviews.map(t => t.taskId),
+          pendingVerifications,
+          reviewActionItems: Object.fromEntries(pendingReviews.map(t => [t.taskId, summarizeActionItems(t)])),
+          secondsUntilNextCheck: secondsUntilNext,
+          loopState: loopStateManager.getLoopState(agentName),
+          workResourceUri,
+        },
+      };
+    },
+  },
+  {
+    name: 'wait_for_work',
+    description: 'Block until new work appears for the agent\'s role (a task becomes available, a submission enters review, a question is asked, a review requests revisions) or the timeout elapses. A lighter alternative to polling get_loop_status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent waiting for work' },
+        timeout: { type: 'number', description: `Seconds to wait before returning with no changes (default: ${DEFAULT_WAIT_SECONDS}, max: ${MAX_WAIT_SECONDS})` }
+      },
+      required: ['agentName']
+    },
+    async handler(args, { roleManager, autonomousEngine }) {
+      const { agentName, timeout = DEFAULT_WAIT_SECONDS } = args;
+      
+      const roleContext = roleManager.getRoleContext(agentName);
+      if (!roleContext) {
+        throw new Error(`No role assigned to agent: ${agentName}`);
+      }
+      
+      const seconds = Math.min(Math.max(timeout, 0), MAX_WAIT_SECONDS);
+      const { changes, work, timedOut } = await autonomousEngine.waitForWork(agentName, seconds * 1000);
+      
+      let text;
+      if (timedOut) {
+        text = `No new work for ${agentName} (${roleContext.role}) after ${seconds} seconds.\n`;
+        text += `Run wait_for_work again to keep waiting: @ai-collab wait_for_work {"agentName": "${agentName}"}`;
+      } else {
+        text = `New work for ${agentName} (${roleContext.role}):\n`;
+        text += changes.map(change => `- ${describeChange[change.change](change)}`).join('\n');
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text,
+          },
+        ],
+        structured: {
+          agentName,
+          role: roleContext.role,
+          timedOut,
+          changes,
+          pendingTasks: work.tasks.map(summarizeTask),
+        },
+      };
+    },
+  }
+];
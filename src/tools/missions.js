@@ -0,0 +1,135 @@
+import { summarizeTask } from './results.js';
+
+// Mission tools: CTO-led missions and the one-step `start` command
+export const tools = [
+  {
+    name: 'create_mission',
+    description: 'Create a new mission',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Agent creating the mission' },
+        mission: { type: 'object', description: 'Mission details' }
+      },
+      required: ['agentName', 'mission']
+    },
+    async handler(args, { autonomousEngine }) {
+      const { agentName, mission } = args;
+      const result = await autonomousEngine.startMission(mission, agentName);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+        structured: { missionId: result.missionId },
+      };
+    },
+  },
+  {
+    name: 'start',
+    description: 'Start working in the agent\'s assigned role. For the CTO, the message becomes a new mission',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent starting work' },
+        message: { type: 'string', description: 'What to work on (treated as a mission for the CTO)' }
+      },
+      required: ['agentName']
+    },
+    async handler(args, { roleManager, autonomousEngine, ticketManager, contextManager }) {
+      const { agentName, message } = args;
+      
+      // Simple start command that handles everything
+      const roleContext = roleManager.getRoleContext(agentName);
+      if (!roleContext) {
+        throw new Error(`No role assigned to agent: ${agentName}`);
+      }
+      
+      // Get context first
+      await contextManager.captureCurrentState();
+      const contextSummary = await contextManager.generateOnboardingSummary();
+      
+      // For CTO, treat the message as a mission
+      if (roleContext.role === 'Chief Technology Officer' && message) {
+        const missionResult = await autonomousEngine.startMission({
+          title: message,
+          objective: message,
+          acceptanceCriteria: [
+            "All requirements implemented successfully",
+            "No regression to existing functionality",
+            "Code quality meets standards",
+            "Solution is architecturally sound"
+          ],
+          autoDecompose: true,
+          maxIterations: 50
+        }, agentName);
+        
+        // Check for related tickets
+        const tickets = await ticketManager.getAllTickets();
+        const openBugs = tickets.filter(t => t.type === 'bug' && t.status === 'open');
+        
+        let ticketInfo = '';
+        if (openBugs.length > 0) {
+          ticketInfo = `\n\nNote: There are ${openBugs.length} open bug tickets that may be related to this mission.`;
+        }
+        
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Mission "${message}" started. I'll break this down into tasks and oversee the implementation. I'll continuously monitor progress and review submissions.${ticketInfo}`,
+            },
+          ],
+          structured: {
+            role: roleContext.role,
+            missionId: missionResult.missionId,
+            openBugs: openBugs.map(ticket => ticket.id),
+          },
+        };
+      }
+      
+      // For Developer, start the work loop
+      if (roleContext.role === 'Senior Developer') {
+        const work = await autonomousEngine.getWorkForAgent(agentName);
+        if (work.tasks.length > 0) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `I'm the Developer. I found ${work.tasks.length} pending tasks. I'll start working on them and continuously check for more work.`,
+              },
+            ],
+            structured: {
+              role: roleContext.role,
+              pendingTasks: work.tasks.map(summarizeTask),
+              nextTask: summarizeTask(work.tasks[0]),
+            },
+          };
+        } else {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `I'm the Developer. No tasks pending yet. I'll keep checking for work to arrive.`,
+              },
+            ],
+            structured: { role: roleContext.role, pendingTasks: [], nextTask: null },
+          };
+        }
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Started as ${roleContext.role}. I understand my responsibilities and will act accordingly.`,
+          },
+        ],
+        structured: { role: roleContext.role },
+      };
+    },
+  }
+];
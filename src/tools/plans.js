@@ -0,0 +1,148 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+import { summarizePlan, summarizePhase } from './results.js';
+
+// Project plan tools: multi-phase plans and their progress
+export const tools = [
+  {
+    name: 'create_project_plan',
+    description: 'Create a comprehensive project plan with multiple phases',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Title of the project plan' },
+        description: { type: 'string', description: 'Description of the project' },
+        requirementsPath: { type: 'string', description: 'Path to requirements file (optional)' },
+        autoGenerate: { type: 'boolean', description: 'Auto-generate phases from requirements' }
+      },
+      required: ['title']
+    },
+    async handler(args, { workspace, projectPlanManager }) {
+      const { title, description, requirementsPath, autoGenerate } = args;
+      
+      let requirements = null;
+      if (requirementsPath || autoGenerate) {
+        try {
+          const reqPath = requirementsPath
+            ? path.resolve(workspace.root, requirementsPath)
+            : path.join(workspace.root, 'PROJECT_REQUIREMENTS.md');
+          requirements = await fs.readFile(reqPath, 'utf8');
+        } catch (e) {
+          // No requirements file
+        }
+      }
+      
+      let phases = [];
+      if (requirements && autoGenerate) {
+        phases = await projectPlanManager.generatePhaseBreakdown(requirements);
+      }
+      
+      const plan = await projectPlanManager.createProjectPlan({
+        title,
+        description: description || title,
+        createdBy: 'system',
+        phases,
+        projectRequirements: requirements
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Project plan created: ${plan.id}\n\nTitle: ${plan.title}\nPhases: ${plan.phases.length}\nTotal Tasks: ${plan.totalTasks}\nStatus: ${plan.status}`,
+          },
+        ],
+        structured: { plan: summarizePlan(plan) },
+      };
+    },
+  },
+  {
+    name: 'get_project_plan',
+    description: 'Get the current active project plan',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    async handler(args, { projectPlanManager }) {
+      const activePlan = await projectPlanManager.getActivePlan();
+      
+      if (!activePlan) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'No active project plan found.',
+            },
+          ],
+          structured: { plan: null, nextPhase: null },
+        };
+      }
+      
+      const nextPhase = await projectPlanManager.getNextPhase(activePlan.id);
+      
+      let response = `**Active Project Plan**\n`;
+      response += `Title: ${activePlan.title}\n`;
+      response += `Status: ${activePlan.status}\n`;
+      response += `Progress: ${activePlan.completedTasks}/${activePlan.totalTasks} tasks\n`;
+      response += `Current Phase: ${activePlan.currentPhase + 1}/${activePlan.phases.length}\n\n`;
+      
+      if (nextPhase) {
+        response += `**Next Phase: ${nextPhase.phase.name}**\n`;
+        response += nextPhase.phase.tasks.map(t => `- ${t.title}`).join('\n');
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: response,
+          },
+        ],
+        structured: {
+          plan: summarizePlan(activePlan),
+          nextPhase: summarizePhase(nextPhase),
+        },
+      };
+    },
+  },
+  {
+    name: 'update_plan_progress',
+    description: 'Update project plan progress when phase is complete',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        phaseComplete: { type: 'boolean', description: 'Mark current phase as complete' },
+        adjustments: { type: 'object', description: 'Any adjustments to the plan' }
+      }
+    },
+    async handler(args, { projectPlanManager }) {
+      const { phaseComplete, adjustments } = args;
+      const activePlan = await projectPlanManager.getActivePlan();
+      
+      if (!activePlan) {
+        throw new Error('No active project plan to update');
+      }
+      
+      const updates = {
+        currentPhaseComplete: phaseComplete || false
+      };
+      
+      if (adjustments) {
+        await projectPlanManager.adjustPlan(activePlan.id, adjustments);
+      }
+      
+      const updatedPlan = await projectPlanManager.updatePlanProgress(activePlan.id, updates);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Plan updated. Current phase: ${updatedPlan.currentPhase + 1}/${updatedPlan.phases.length}`,
+          },
+        ],
+        structured: { plan: summarizePlan(updatedPlan) },
+      };
+    },
+  }
+];
@@ -0,0 +1,48 @@
+// Shared shapes for the `structured` payloads tools return next to their text
+
+export function summarizeTask(task) {
+  if (!task) {
+    return null;
+  }
+
+  return {
+    taskId: task.taskId,
+    title: task.title,
+    status: task.status,
+    stage: task.stage || null,
+    priority: task.priority || 'medium',
+    dependsOn: task.dependsOn || [],
+    assignee: task.assignee || null,
+    requiredRole: task.requiredRole || null,
+    parentId: task.parentId || null,
+    subtasks: task.subtasks || [],
+  };
+}
+
+export function summarizePlan(plan) {
+  if (!plan) {
+    return null;
+  }
+
+  return {
+    id: plan.id,
+    title: plan.title,
+    status: plan.status,
+    currentPhase: plan.currentPhase + 1,
+    totalPhases: plan.phases.length,
+    completedTasks: plan.completedTasks,
+    totalTasks: plan.totalTasks,
+  };
+}
+
+export function summarizePhase(nextPhase) {
+  if (!nextPhase) {
+    return null;
+  }
+
+  return {
+    phaseNumber: nextPhase.phaseNumber,
+    name: nextPhase.phase.name,
+    tasks: (nextPhase.phase.tasks || []).map(task => task.title),
+  };
+}
@@ -0,0 +1,1056 @@
+import { summarizeTask } from './results.js';
+import { projectResourceUri } from '../projectRegistry.js';
+import { EDITABLE_FIELDS, summarizeActionItems } from '../taskQueue.js';
+import { normalizeApprovalPolicy } from '../approvalPolicy.js';
+
+// Routing fields on a directive must name a configured agent and role
+function checkRouting({ assignee, requiredRole }, roleManager) {
+  if (assignee && !roleManager.getAgentRole(assignee)) {
+    throw new Error(`Unknown agent: ${assignee}`);
+  }
+  if (requiredRole && !roleManager.getRole(requiredRole)) {
+    throw new Error(`Unknown role: ${requiredRole} (expected one of: ${roleManager.getAllRoles().join(', ')})`);
+  }
+}
+
+const COMMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    file: { type: 'string', description: 'File from the submission\'s files map the comment is about' },
+    line: { type: 'number', description: 'Line in that file' },
+    body: { type: 'string', description: 'The comment' }
+  },
+  required: ['body']
+};
+
+function describeThread(thread) {
+  const location = thread.file ? ` ${thread.file}${thread.line ? `:${thread.line}` : ''}` : '';
+  return `${thread.commentId} [${thread.status}]${location} - ${thread.body}`;
+}
+
+const APPROVAL_POLICY_SCHEMA = {
+  type: 'object',
+  properties: {
+    approvals: { type: 'number', description: 'Different reviewers who must approve (default: 1)' },
+    roles: { type: 'array', items: { type: 'string' }, description: 'Roles that must each approve, e.g. ["cto", "qa_engineer"]' },
+    anyCanBlock: { type: 'boolean', description: 'Whether any reviewer\'s needs_revision sends the task back (default: true); otherwise only required roles can' }
+  }
+};
+
+// What a task under review is still waiting for
+function describeApproval(approval) {
+  const waiting = [];
+  if (approval.approvalsNeeded > 0) {
+    waiting.push(`${approval.approvalsNeeded} more approval(s)`);
+  }
+  if (approval.missingRoles.length > 0) {
+    waiting.push(`approval from ${approval.missingRoles.join(', ')}`);
+  }
+  return waiting.join(' and ');
+}
+
+function describeMerge(merge) {
+  if (merge.merged) {
+    const how = merge.upToDate ? 'already up to date' : merge.fastForward ? 'fast-forward' : 'merge commit';
+    return `Merged ${merge.branch} into ${merge.into} at ${merge.commit.slice(0, 7)} (${how}).`;
+  }
+  if (merge.reason === 'diverged') {
+    return `${merge.branch} can't be fast-forwarded into ${merge.into}, which has moved on; the task went back for a rebase.`;
+  }
+  return merge.reason === 'conflicts'
+    ? `Merging ${merge.branch} into ${merge.into} conflicts in ${merge.conflicts.join(', ')}; the task went back to resolve them.`
+    : `Merging ${merge.branch} into ${merge.into} failed (${merge.error}); the task stays approved in review. Fix the repository, then run retry_merge.`;
+}
+
+// Changes made after a directive was sent are logged with who made them
+async function logChange(logger, change, task, details = {}) {
+  await logger.logTaskChange({
+    change,
+    taskId: task.taskId,
+    status: task.status,
+    ...details,
+    changedAt: new Date().toISOString(),
+  });
+}
+
+// Task queue tools: directives, submissions, reviews, questions and changes
+// to queued tasks
+export const tools = [
+  {
+    name: 'send_directive',
+    description: 'Send a task directive to the development team. Can create single or batch tasks with dependencies.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Unique identifier for the task (default: the next generated ID, e.g. KAN-004); must not exist yet' },
+        title: { type: 'string', description: 'Title of the task' },
+        specification: { type: 'string', description: 'Detailed specification of what needs to be done' },
+        requirements: { type: 'array', items: { type: 'string' }, description: 'List of requirements' },
+        acceptanceCriteria: { type: 'array', items: { type: 'string' }, description: 'Acceptance criteria for the task' },
+        priority: { type: 'string', enum: ['high', 'medium', 'low'], description: 'Task priority (default: medium)' },
+        dependsOn: { type: 'array', items: { type: 'string' }, description: 'Task IDs this task depends on (must already exist)' },
+        blockedBy: { type: 'array', items: { type: 'string' }, description: 'Task IDs currently blocking this task' },
+        assignee: { type: 'string', description: 'Agent name the task is assigned to; only that agent can take it' },
+        requiredRole: { type: 'string', description: 'Role an agent needs to take the task, e.g. qa_engineer (default: developer)' },
+        parentId: { type: 'string', description: 'Task this one is a subtask of; the parent cannot be submitted until it is completed' },
+        approvalPolicy: { ...APPROVAL_POLICY_SCHEMA, description: 'Reviews needed to complete the task (default: the mission\'s or project\'s policy)' },
+        requiresVerification: { type: 'boolean', description: 'Whether QA must verify the task after approval (default: the project\'s tasks.requireVerification)' },
+        branch: { type: ['string', 'boolean'], description: 'Local git branch for the task\'s work, created when it is claimed: a branch name, true for task/<taskId> or false for none (default: task/<taskId> when the project sets tasks.branches)' }
+      },
+      required: ['title', 'specification']
+    },
+    async handler(args, { taskQueue, roleManager, logger }) {
+      const { title, specification, requirements, acceptanceCriteria, priority, dependsOn, blockedBy, assignee, requiredRole, parentId } = args;
+      checkRouting(args, roleManager);
+      
+      const directive = {
+        taskId: args.taskId || null,
+        title,
+        specification,
+        requirements: requirements || [],
+        acceptanceCriteria: acceptanceCriteria || [],
+        priority: priority || 'medium',
+        dependsOn: dependsOn || [],
+        blockedBy: blockedBy || [],
+        assignee: assignee?.toLowerCase() || null,
+        requiredRole: requiredRole || null,
+        parentId: parentId || null,
+        approvalPolicy: args.approvalPolicy ? normalizeApprovalPolicy(args.approvalPolicy, roleManager.getAllRoles()) : null,
+        requiresVerification: args.requiresVerification ?? null,
+        branch: args.branch ?? null,
+        createdAt: new Date().toISOString(),
+        status: 'pending',
+      };
+
+      const taskId = await taskQueue.addDirective(directive);
+      await logger.logDirective({ ...directive, taskId });
+      
+      const statusInfo = dependsOn?.length > 0 
+        ? ` (blocked by dependencies: ${dependsOn.join(', ')})`
+        : ' (available to work on)';
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Directive ${taskId} queued successfully. Title: ${title}${statusInfo}`,
+          },
+        ],
+        structured: {
+          task: summarizeTask(await taskQueue.getTask(taskId)),
+        },
+      };
+    },
+  },
+  {
+    name: 'send_batch_directives',
+    description: 'Send multiple task directives at once. Use this to queue up multiple tasks for efficient workflow.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              taskId: { type: 'string', description: 'Unique identifier for the task (default: the next generated ID); must not exist yet' },
+              title: { type: 'string', description: 'Title of the task' },
+              specification: { type: 'string', description: 'Detailed specification' },
+              requirements: { type: 'array', items: { type: 'string' } },
+              acceptanceCriteria: { type: 'array', items: { type: 'string' } },
+              priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+              dependsOn: { type: 'array', items: { type: 'string' }, description: 'Task IDs this task depends on (existing tasks or tasks in this batch that set a taskId)' },
+              blockedBy: { type: 'array', items: { type: 'string' } },
+              assignee: { type: 'string', description: 'Agent name the task is assigned to' },
+              requiredRole: { type: 'string', description: 'Role an agent needs to take the task (default: developer)' },
+              approvalPolicy: { ...APPROVAL_POLICY_SCHEMA, description: 'Reviews needed to complete the task (default: the mission\'s or project\'s policy)' },
+              requiresVerification: { type: 'boolean', description: 'Whether QA must verify the task after approval' },
+              branch: { type: ['string', 'boolean'], description: 'Local git branch for the task\'s work: a name, true for task/<taskId> or false for none' }
+            },
+            required: ['title', 'specification']
+          },
+          description: 'Array of task directives to create'
+        }
+      },
+      required: ['tasks']
+    },
+    async handler(args, { taskQueue, roleManager, logger }) {
+      const { tasks } = args;
+      
+      if (!tasks || !Array.isArray(tasks) || tasks.length === 0) {
+        return {
+          content: [{
+            type: 'text',
+            text: '❌ Error: Please provide an array of tasks to create.'
+          }],
+          structured: { ok: false, error: 'no_tasks' }
+        };
+      }
+      
+      tasks.forEach(task => checkRouting(task, roleManager));
+      
+      const directives = tasks.map(task => ({
+        ...task,
+        priority: task.priority || 'medium',
+        dependsOn: task.dependsOn || [],
+        blockedBy: task.blockedBy || [],
+        assignee: task.assignee?.toLowerCase() || null,
+        requiredRole: task.requiredRole || null,
+        approvalPolicy: task.approvalPolicy ? normalizeApprovalPolicy(task.approvalPolicy, roleManager.getAllRoles()) : null,
+      }));
+      
+      const addedTaskIds = await taskQueue.addBatchDirectives(directives);
+      
+      // Log each directive under the ID it was stored with
+      for (const [index, directive] of directives.entries()) {
+        await logger.logDirective({ ...directive, taskId: addedTaskIds[index] });
+      }
+      
+      const summary = addedTaskIds.map((id, index) => {
+        const task = directives[index];
+        const deps = task.dependsOn?.length > 0 ? ` (depends on: ${task.dependsOn.join(', ')})` : '';
+        return `• ${id}: ${task.title}${deps}`;
+      }).join('\n');
+      
+      return {
+        content: [{
+          type: 'text',
+          text: `✅ Successfully queued ${addedTaskIds.length} tasks:\n\n${summary}\n\nDeveloper can now work on available tasks continuously.`
+        }],
+        structured: { taskIds: addedTaskIds }
+      };
+    },
+  },
+  {
+    name: 'split_task',
+    description: 'Split a task into subtasks. The parent cannot be submitted until every subtask is completed or cancelled, and its progress rolls up from them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task to split' },
+        subtasks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              taskId: { type: 'string', description: 'Unique identifier for the subtask (default: the next generated ID)' },
+              title: { type: 'string', description: 'Title of the subtask' },
+              specification: { type: 'string', description: 'Detailed specification' },
+              requirements: { type: 'array', items: { type: 'string' } },
+              acceptanceCriteria: { type: 'array', items: { type: 'string' } },
+              priority: { type: 'string', enum: ['high', 'medium', 'low'], description: 'Subtask priority (default: the parent\'s)' },
+              dependsOn: { type: 'array', items: { type: 'string' }, description: 'Task IDs this subtask depends on (existing tasks or subtasks here that set a taskId)' },
+              assignee: { type: 'string', description: 'Agent name the subtask is assigned to' },
+              requiredRole: { type: 'string', description: 'Role an agent needs to take the subtask (default: the parent\'s)' }
+            },
+            required: ['title', 'specification']
+          },
+          description: 'Subtasks to create under the task'
+        },
+        agentName: { type: 'string', description: 'Name of the agent splitting the task' }
+      },
+      required: ['taskId', 'subtasks']
+    },
+    async handler(args, { taskQueue, roleManager, missionManager, logger }) {
+      const { taskId, subtasks, agentName } = args;
+      
+      const parent = await taskQueue.getTask(taskId);
+      if (!parent) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      if (!Array.isArray(subtasks) || subtasks.length === 0) {
+        throw new Error('Provide at least one subtask');
+      }
+      subtasks.forEach(subtask => checkRouting(subtask, roleManager));
+      
+      const directives = subtasks.map(subtask => ({
+        ...subtask,
+        requirements: subtask.requirements || [],
+        acceptanceCriteria: subtask.acceptanceCriteria || [],
+        priority: subtask.priority || parent.priority || 'medium',
+        dependsOn: subtask.dependsOn || [],
+        blockedBy: [],
+        assignee: subtask.assignee?.toLowerCase() || null,
+        requiredRole: subtask.requiredRole || parent.requiredRole || null,
+        missionId: parent.missionId || null,
+        parentId: taskId,
+        createdBy: agentName || 'system',
+      }));
+      
+      const addedTaskIds = await taskQueue.addBatchDirectives(directives);
+      
+      // Missions that include the parent track its leaf work
+      for (const mission of await missionManager.getMissionsForTask(taskId)) {
+        for (const subtaskId of addedTaskIds) {
+          await missionManager.addTaskToMission(mission.id, subtaskId);
+        }
+      }
+      
+      for (const [index, directive] of directives.entries()) {
+        await logger.logDirective({ ...directive, taskId: addedTaskIds[index] });
+      }
+      
+      const summary = addedTaskIds.map((id, index) => `• ${id}: ${directives[index].title}`).join('\n');
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Split ${taskId} into ${addedTaskIds.length} subtask(s):\n\n${summary}\n\n` +
+              `${taskId} can be submitted once they are all completed.`,
+          },
+        ],
+        structured: {
+          task: summarizeTask(await taskQueue.getTask(taskId)),
+          subtaskIds: addedTaskIds,
+          progress: await taskQueue.getSubtaskProgress(taskId),
+        },
+      };
+    },
+  },
+  {
+    name: 'get_all_tasks',
+    description: 'Get all tasks in the system',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        role: { type: 'string', description: 'Filter tasks by role' }
+      }
+    },
+    async handler(args, { taskQueue }) {
+      const { role } = args || {};
+      const tasks = await taskQueue.getPendingTasks(role);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(tasks, null, 2),
+          },
+        ],
+        structured: { tasks },
+      };
+    },
+  },
+  {
+    name: 'get_task_status',
+    description: 'Get status of a specific task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID to get status for' }
+      },
+      required: ['taskId']
+    },
+    async handler(args, { taskQueue, projectId }) {
+      const { taskId } = args;
+      const task = await taskQueue.getTask(taskId);
+      const progress = task ? await taskQueue.getSubtaskProgress(taskId) : null;
+      const approval = task ? await taskQueue.getApprovalStatus(taskId) : null;
+      
+      // What the latest submission changed; the full patch is also served as
+      // a resource
+      const captured = task ? await taskQueue.getDiff(taskId) : null;
+      const diff = captured && {
+        submission: captured.submission,
+        base: captured.base,
+        stat: captured.stat || null,
+        files: captured.files || [],
+        truncated: captured.truncated || false,
+        error: captured.error || null,
+        uri: projectResourceUri(projectId, `tasks/${taskId}/diff`),
+      };
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(task && { ...task, progress, approval, diff }, null, 2),
+          },
+        ],
+        structured: { task: task || null, progress, approval, diff },
+      };
+    },
+  },
+  {
+    name: 'claim_task',
+    description: 'Take a task: atomically moves it to in_progress and assigns it to the agent. Without taskId, claims the agent\'s highest-priority workable task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent taking the task' },
+        taskId: { type: 'string', description: 'Task ID to claim (default: next workable task)' }
+      },
+      required: ['agentName']
+    },
+    async handler(args, { taskQueue, roleManager }) {
+      const { agentName, taskId } = args;
+      
+      const role = roleManager.getAgentRole(agentName);
+      if (!role) {
+        throw new Error(`No role assigned to agent: ${agentName}`);
+      }
+      
+      const task = await taskQueue.claimTask({ name: agentName, role }, taskId);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: task
+              ? `Task ${task.taskId} claimed by ${agentName} and moved to in_progress. Title: ${task.title}\n` +
+                (task.branch ? `Commit the work to branch ${task.branch} (git switch ${task.branch}); its latest commit is recorded when you submit.\n` : '') +
+                `Lease expires at ${task.lease?.expiresAt}; keep it with @ai-collab heartbeat {"agentName": "${agentName}"} or the task goes back to available.\n` +
+                `Submit it with: @ai-collab submit_work {"taskId": "${task.taskId}", "summary": "..."}`
+              : `No workable tasks for ${agentName} (${role}) right now.`,
+          },
+        ],
+        structured: { agentName, task: summarizeTask(task), branch: task?.branch || null, leaseExpiresAt: task?.lease?.expiresAt || null },
+      };
+    },
+  },
+  {
+    name: 'heartbeat',
+    description: 'Renew the leases on tasks an agent has claimed so they are not returned to available',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Name of the agent holding the leases' },
+        taskId: { type: 'string', description: 'Renew only this task (default: all of the agent\'s tasks)' }
+      },
+      required: ['agentName']
+    },
+    async handler(args, { taskQueue }) {
+      const { agentName, taskId } = args;
+      const renewed = await taskQueue.renewLease(agentName, taskId);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: renewed.length > 0
+              ? `Renewed ${renewed.length} lease(s) for ${agentName}:\n` +
+                renewed.map(lease => `- ${lease.taskId} until ${lease.expiresAt}`).join('\n')
+              : `${agentName} holds no task leases.`,
+          },
+        ],
+        structured: { agentName, renewed },
+      };
+    },
+  },
+  {
+    name: 'submit_work',
+    description: 'Submit completed work for review',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID this submission is for' },
+        files: { type: 'object', description: 'Files changed or created' },
+        summary: { type: 'string', description: 'Summary of work completed' },
+        testResults: { type: 'object', description: 'Test results' },
+        resolvedActionItems: { type: 'array', items: { type: 'string' }, description: 'IDs of review action items this submission resolves, e.g. ITEM-1' },
+        agentName: { type: 'string', description: 'Agent submitting the work (recorded in the task history)' }
+      },
+      required: ['taskId', 'summary']
+    },
+    async handler(args, { taskQueue, roleManager, logger }) {
+      const { taskId, files, summary, testResults, resolvedActionItems, agentName } = args;
+      
+      // Validate that this is a task ID, not a ticket ID
+      if (taskId.startsWith('BUG-') || taskId.startsWith('ENH-') || taskId.startsWith('TD-')) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ Error: "${taskId}" is a ticket ID, not a task ID.\n\n` +
+                    `Tickets (BUG-XXX, ENH-XXX) are for tracking issues and improvements.\n` +
+                    `Tasks (KAN-XXX, TASK-XXX) are work assignments that can be implemented.\n\n` +
+                    `As CTO, you should:\n` +
+                    `1. Create tickets to document issues\n` +
+                    `2. Create tasks (using send_directive) to assign work to developers\n` +
+                    `3. Link tickets to tasks if needed\n\n` +
+                    `Developers can only submit work for tasks, not tickets.`,
+            },
+          ],
+          structured: { ok: false, error: 'ticket_id_not_task_id', taskId },
+        };
+      }
+      
+      const submission = {
+        taskId,
+        files: files || {},
+        summary,
+        testResults: testResults || {},
+        resolvedActionItems: resolvedActionItems || [],
+        submittedBy: agentName?.toLowerCase() || null,
+        submittedAt: new Date().toISOString(),
+        status: 'pending_review',
+      };
+
+      // Check for next available task for continuous work mode, limited to
+      // what the submitting agent may take when the task was claimed
+      const { assignee } = await taskQueue.getTask(taskId) || {};
+      
+      const { status: taskStatus, stage } = await taskQueue.addSubmission(submission);
+      await logger.logSubmission(submission);
+      
+      const nextTask = await taskQueue.getNextWorkableTask(
+        assignee ? { name: assignee, role: roleManager.getAgentRole(assignee) } : null
+      );
+      const blockedTasks = await taskQueue.findTasks({ status: 'blocked' });
+      const inReviewTasks = await taskQueue.findTasks({ status: 'in_review' });
+      
+      let responseText = taskStatus === 'in_review'
+        ? `Submission for task ${taskId} received and queued for review.`
+        : `Submission for task ${taskId} received; the task is ${taskStatus === 'completed' ? 'completed' : `now in the ${stage} stage`}.`;
+      
+      const recorded = (await taskQueue.getTask(taskId)).submissions.at(-1);
+      if (recorded.commit) {
+        responseText += `\nRecorded commit ${recorded.commit.slice(0, 7)} on branch ${recorded.branch}.`;
+      }
+      
+      const { open: openItems } = summarizeActionItems(await taskQueue.getTask(taskId));
+      if (openItems.length > 0) {
+        responseText += `\n\n⚠️ Action items not marked resolved: ${openItems.map(item => `${item.itemId} (${item.text})`).join(', ')}`;
+      }
+      
+      if (nextTask) {
+        responseText += `\n\n🚀 **CONTINUOUS WORK MODE - NEXT TASK AVAILABLE:**\n`;
+        responseText += `📋 Task ${nextTask.taskId}: ${nextTask.title}\n`;
+        responseText += `Priority: ${nextTask.priority || 'medium'}\n`;
+        if (nextTask.dependsOn?.length > 0) {
+          responseText += `Dependencies: All satisfied ✓\n`;
+        }
+        responseText += `\n**ACTION**: Proceed immediately with this task to maintain continuous workflow.`;
+      } else {
+        // Check if there are blocked tasks waiting
+        if (blockedTasks.length > 0) {
+          responseText += `\n\n⏳ **WAITING**: ${blockedTasks.length} task(s) blocked by dependencies.`;
+        } else if (inReviewTasks.length > 0) {
+          responseText += `\n\n⏳ **WAITING**: ${inReviewTasks.length} task(s) pending review.`;
+        } else {
+          responseText += `\n\n✅ **NO MORE TASKS**: All available work completed! Great job!`;
+        }
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: responseText,
+          },
+        ],
+        structured: {
+          taskId,
+          submissionStatus: submission.status,
+          taskStatus,
+          stage,
+          branch: recorded.branch || null,
+          commit: recorded.commit || null,
+          openActionItems: openItems,
+          nextTask: summarizeTask(nextTask),
+          blockedTasks: blockedTasks.map(task => task.taskId),
+          pendingReviews: inReviewTasks.map(task => task.taskId),
+        },
+      };
+    },
+  },
+  {
+    name: 'review_work',
+    description: 'Submit a review of submitted work',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID being reviewed' },
+        status: { type: 'string', enum: ['approved', 'needs_revision'], description: 'Review decision' },
+        feedback: { type: 'string', description: 'Review feedback' },
+        actionItems: { type: 'array', items: { type: 'string' }, description: 'Action items for revision; each becomes a checklist entry (ITEM-1, ...) the next submission can resolve' },
+        reopenActionItems: { type: 'array', items: { type: 'string' }, description: 'IDs of action items the submission claimed to resolve but did not' },
+        comments: { type: 'array', items: COMMENT_SCHEMA, description: 'Comments on files or lines of the submission; each opens a thread the developer can reply to' },
+        agentName: { type: 'string', description: 'Agent posting the review (recorded in the task history); required when the approval policy asks for several approvals or certain roles' }
+      },
+      required: ['taskId', 'status', 'feedback']
+    },
+    async handler(args, { taskQueue, roleManager, logger }) {
+      const { taskId, status, feedback, actionItems, reopenActionItems, comments, agentName } = args;
+      
+      const review = {
+        taskId,
+        status, // 'approved' or 'needs_revision'
+        feedback,
+        actionItems: actionItems || [],
+        reopenActionItems: reopenActionItems || [],
+        comments: comments || [],
+        reviewedBy: agentName?.toLowerCase() || null,
+        reviewerRole: agentName ? roleManager.getAgentRole(agentName) : null,
+        reviewedAt: new Date().toISOString(),
+      };
+
+      const { status: taskStatus, stage, approval, threads, merge } = await taskQueue.addReview(review);
+      await logger.logReview(review);
+      const { open: openItems } = summarizeActionItems(await taskQueue.getTask(taskId));
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Review for task ${taskId} submitted. Status: ${status}` +
+              (taskStatus === 'in_review' && !approval.satisfied ? `\nThe task stays in review until it has ${describeApproval(approval)}.` : '') +
+              (merge ? `\n${describeMerge(merge)}` : '') +
+              (approval.satisfied && taskStatus !== 'completed' && taskStatus !== 'needs_revision' ? `\nApproved; the task moved on to the ${stage} stage.` : '') +
+              (threads.length > 0 ? `\n\nComments:\n${threads.map(thread => `- ${describeThread(thread)}`).join('\n')}` : '') +
+              (openItems.length > 0 ? `\n\nOpen action items:\n${openItems.map(item => `- ${item.itemId}: ${item.text}`).join('\n')}` : ''),
+          },
+        ],
+        structured: {
+          taskId,
+          reviewStatus: status,
+          taskStatus,
+          stage,
+          approval,
+          merge,
+          commentIds: threads.map(thread => thread.commentId),
+          openActionItems: openItems,
+          task: summarizeTask(await taskQueue.getTask(taskId)),
+        },
+      };
+    },
+  },
+  {
+    name: 'retry_merge',
+    description: 'Merge an approved task\'s branch again after the merge failed for a reason in the repository (uncommitted changes where the integration branch is checked out, no git identity)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID whose merge failed' },
+        agentName: { type: 'string', description: 'Agent retrying the merge (recorded in the task history)' }
+      },
+      required: ['taskId']
+    },
+    async handler(args, { taskQueue, logger }) {
+      const { taskId, agentName } = args;
+      const actor = agentName?.toLowerCase() || 'system';
+      
+      const { status, stage, merge } = await taskQueue.retryMerge(taskId, actor);
+      await logChange(logger, merge.merged ? 'merged' : 'merge_failed', await taskQueue.getTask(taskId), { actor, merge });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${describeMerge(merge)}` + (merge.merged ? ` Task ${taskId} is now ${status} (${stage} stage).` : ''),
+          },
+        ],
+        structured: { taskId, taskStatus: status, stage, merge },
+      };
+    },
+  },
+  {
+    name: 'set_approval_policy',
+    description: 'Set how many and which reviewers must approve a task, or every task in a mission. Omit the policy fields to go back to the default',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task to set the policy on' },
+        missionId: { type: 'string', description: 'Mission to set the policy on (used by its tasks that have none of their own)' },
+        ...APPROVAL_POLICY_SCHEMA.properties,
+        agentName: { type: 'string', description: 'Agent changing the policy' }
+      }
+    },
+    async handler(args, { taskQueue, missionManager, roleManager, logger }) {
+      const { taskId, missionId, approvals, roles, anyCanBlock, agentName } = args;
+      if (Boolean(taskId) === Boolean(missionId)) {
+        throw new Error('Give either a taskId or a missionId');
+      }
+      
+      const given = [approvals, roles, anyCanBlock].some(value => value !== undefined);
+      const policy = given ? normalizeApprovalPolicy({ approvals, roles, anyCanBlock }, roleManager.getAllRoles()) : null;
+      const actor = agentName || 'system';
+      
+      if (taskId) {
+        const task = await taskQueue.setApprovalPolicy(taskId, policy, { actor });
+        await logChange(logger, 'approval_policy_set', task, { actor, approvalPolicy: policy });
+      } else {
+        await missionManager.setApprovalPolicy(missionId, policy);
+      }
+      
+      const target = taskId ? `task ${taskId}` : `mission ${missionId}`;
+      return {
+        content: [
+          {
+            type: 'text',
+            text: policy
+              ? `Approval policy for ${target}: ${policy.approvals} approval(s)` +
+                (policy.roles.length > 0 ? ` including ${policy.roles.join(', ')}` : '') +
+                (policy.anyCanBlock ? '; any reviewer can send it back.' : '; only required roles can send it back.')
+              : `Approval policy for ${target} cleared.`,
+          },
+        ],
+        structured: { taskId: taskId || null, missionId: missionId || null, approvalPolicy: policy },
+      };
+    },
+  },
+  {
+    name: 'add_review_comments',
+    description: 'Comment on files or lines of a submission without posting a review decision. Each comment opens a thread',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task whose submission is commented on' },
+        comments: { type: 'array', items: COMMENT_SCHEMA, description: 'Comments to add' },
+        submission: { type: 'number', description: 'Submission number, starting at 1 (default: the latest)' },
+        agentName: { type: 'string', description: 'Agent writing the comments' }
+      },
+      required: ['taskId', 'comments']
+    },
+    async handler(args, { taskQueue, logger }) {
+      const { taskId, comments, submission, agentName } = args;
+      const author = agentName?.toLowerCase() || 'system';
+      
+      const threads = await taskQueue.addReviewComments(taskId, comments || [], { author, submission });
+      for (const thread of threads) {
+        await logger.logComment({ change: 'added', taskId, ...thread });
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Added ${threads.length} comment(s) to ${taskId}:\n${threads.map(thread => `- ${describeThread(thread)}`).join('\n')}`,
+          },
+        ],
+        structured: { taskId, threads },
+      };
+    },
+  },
+  {
+    name: 'reply_to_comment',
+    description: 'Reply to a review comment thread, optionally resolving it in the same step',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task the comment belongs to' },
+        commentId: { type: 'string', description: 'Comment thread to reply to, e.g. C-1' },
+        body: { type: 'string', description: 'The reply' },
+        resolve: { type: 'boolean', description: 'Also mark the thread resolved (default: false)' },
+        agentName: { type: 'string', description: 'Agent replying' }
+      },
+      required: ['taskId', 'commentId', 'body']
+    },
+    async handler(args, { taskQueue, logger }) {
+      const { taskId, commentId, body, resolve, agentName } = args;
+      const author = agentName?.toLowerCase() || 'system';
+      
+      const thread = await taskQueue.updateThread(taskId, commentId, { author, body, status: resolve ? 'resolved' : null });
+      await logger.logComment({ change: resolve ? 'resolved' : 'replied', taskId, commentId, author, body });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Replied to ${commentId} on ${taskId}. Thread: ${describeThread(thread)} (${thread.replies.length} replies)`,
+          },
+        ],
+        structured: { taskId, thread },
+      };
+    },
+  },
+  {
+    name: 'resolve_comment',
+    description: 'Mark a review comment thread resolved, or reopen it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task the comment belongs to' },
+        commentId: { type: 'string', description: 'Comment thread to resolve, e.g. C-1' },
+        resolved: { type: 'boolean', description: 'false reopens the thread (default: true)' },
+        agentName: { type: 'string', description: 'Agent resolving the thread' }
+      },
+      required: ['taskId', 'commentId']
+    },
+    async handler(args, { taskQueue, logger }) {
+      const { taskId, commentId, resolved = true, agentName } = args;
+      const author = agentName?.toLowerCase() || 'system';
+      const status = resolved ? 'resolved' : 'open';
+      
+      const thread = await taskQueue.updateThread(taskId, commentId, { author, status });
+      await logger.logComment({ change: resolved ? 'resolved' : 'reopened', taskId, commentId, author });
+      const open = await taskQueue.getOpenThreads(taskId);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${commentId} on ${taskId} is ${thread.status}. ${open.length} open comment(s) left on the task.`,
+          },
+        ],
+        structured: { taskId, thread, openComments: open.map(openThread => openThread.commentId) },
+      };
+    },
+  },
+  {
+    name: 'verify_task',
+    description: 'Record QA verification of a task in a verification stage (in_verification). A pass moves the task on to its next stage or completes it; a failure files a bug ticket linked to the task and sends it back for revision',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task being verified' },
+        passed: { type: 'boolean', description: 'Whether the task passed verification' },
+        evidence: { type: 'object', description: 'Test evidence, e.g. { "testsRun": 12, "testsFailed": 0, "command": "npm test", "notes": "..." }' },
+        bug: { type: 'object', description: 'Bug report when verification fails, with the bug ticket fields: title, description, stepsToReproduce, expectedBehavior, actualBehavior, severity' },
+        agentName: { type: 'string', description: 'QA agent verifying the task' }
+      },
+      required: ['taskId', 'passed', 'agentName']
+    },
+    async handler(args, { taskQueue, ticketManager, missionManager, roleManager, logger }) {
+      const { taskId, passed, evidence, bug, agentName } = args;
+      const agent = agentName.toLowerCase();
+      
+      // Checked up front for clearer errors; verifyTask checks the task again
+      // before the bug ticket is filed
+      const task = await taskQueue.getTask(taskId);
+      if (!task) {
+        throw new Error(`Task ${taskId} not found`);
+      }
+      if (task.status !== 'in_verification') {
+        throw new Error(`Task ${taskId} is ${task.status}; only tasks in a verification stage (in_verification) can be verified`);
+      }
+      const stage = taskQueue.stageOf(task);
+      if (roleManager.getAgentRole(agentName) !== stage.role) {
+        throw new Error(`${agentName} is not a ${stage.role}; only ${stage.role} agents verify tasks in the ${stage.name} stage`);
+      }
+      if (!passed && !bug?.title) {
+        throw new Error('A failed verification needs a bug with at least a title');
+      }
+      
+      const verification = await taskQueue.verifyTask(taskId, {
+        verifiedBy: agent,
+        passed,
+        evidence: evidence || null,
+        fileBug: () => ticketManager.createTicket('bug', { ...bug, taskId, evidence: evidence || null }, agent),
+        bugTitle: bug?.title || null,
+      });
+      const { ticketId } = verification;
+      if (ticketId) {
+        await ticketManager.linkToTask(ticketId, taskId);
+        for (const mission of await missionManager.getMissionsForTask(taskId)) {
+          await ticketManager.linkToMission(ticketId, mission.id);
+        }
+        await logger.appendLog('tickets', {
+          action: 'ticket_created',
+          ticketId,
+          type: 'bug',
+          createdBy: agent,
+          taskId,
+        });
+      }
+      const verified = await taskQueue.getTask(taskId);
+      await logChange(logger, passed ? 'verified' : 'verification_failed', verified, { actor: agent, ticketId, evidence: evidence || null });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: passed
+              ? `Task ${taskId} passed verification and is ${verified.status === 'completed' ? 'completed' : `now in the ${verified.stage} stage`}.`
+              : `Task ${taskId} failed verification. Filed ${ticketId} and sent the task back to the ${verified.stage} stage for revision.`,
+          },
+        ],
+        structured: { taskId, verification, ticketId, task: summarizeTask(verified) },
+      };
+    },
+  },
+  {
+    name: 'cancel_task',
+    description: 'Cancel a task that is no longer wanted. Tasks that depend on it stay blocked until the dependency is dropped with update_task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID to cancel' },
+        reason: { type: 'string', description: 'Why the task is cancelled' },
+        agentName: { type: 'string', description: 'Name of the agent cancelling the task (recorded in its history)' }
+      },
+      required: ['taskId']
+    },
+    async handler(args, { taskQueue, logger }) {
+      const { taskId, reason, agentName } = args;
+      const actor = agentName || 'system';
+      
+      const task = await taskQueue.cancelTask(taskId, { actor, reason });
+      await logChange(logger, 'cancelled', task, { actor, reason: reason || null });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Task ${taskId} cancelled.${reason ? ` Reason: ${reason}` : ''}` +
+              (task.waitingDependents.length > 0
+                ? `\n⚠️ ${task.waitingDependents.join(', ')} still depend on it and stay blocked. Drop the dependency with update_task ("dependsOn") or reset_task_dependencies, or cancel them too.`
+                : ''),
+          },
+        ],
+        structured: { task: summarizeTask(task), waitingDependents: task.waitingDependents },
+      };
+    },
+  },
+  {
+    name: 'hold_task',
+    description: 'Put a task on hold. Agents cannot take it and its dependents stay blocked until resume_task; a claimed task is released',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID to put on hold' },
+        reason: { type: 'string', description: 'Why the task is on hold' },
+        agentName: { type: 'string', description: 'Name of the agent holding the task (recorded in its history)' }
+      },
+      required: ['taskId']
+    },
+    async handler(args, { taskQueue, logger }) {
+      const { taskId, reason, agentName } = args;
+      const actor = agentName || 'system';
+      
+      const task = await taskQueue.holdTask(taskId, { actor, reason });
+      await logChange(logger, 'held', task, { actor, reason: reason || null, heldFrom: task.heldFrom });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Task ${taskId} is on hold (was ${task.heldFrom}). Resume it with: @ai-collab resume_task {"taskId": "${taskId}"}`,
+          },
+        ],
+        structured: { task: summarizeTask(task), heldFrom: task.heldFrom },
+      };
+    },
+  },
+  {
+    name: 'resume_task',
+    description: 'Take a task off hold. Submitted work goes back to review; other tasks become available or blocked by their dependencies',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID to resume' },
+        agentName: { type: 'string', description: 'Name of the agent resuming the task (recorded in its history)' }
+      },
+      required: ['taskId']
+    },
+    async handler(args, { taskQueue, logger }) {
+      const { taskId, agentName } = args;
+      const actor = agentName || 'system';
+      
+      const task = await taskQueue.resumeTask(taskId, { actor });
+      await logChange(logger, 'resumed', task, { actor });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Task ${taskId} resumed and is now ${task.status}.`,
+          },
+        ],
+        structured: { task: summarizeTask(task) },
+      };
+    },
+  },
+  {
+    name: 'update_task',
+    description: 'Change the priority, specification, requirements, acceptance criteria or dependencies of a task that is not completed or cancelled',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID to update' },
+        priority: { type: 'string', enum: ['high', 'medium', 'low'], description: 'New task priority' },
+        specification: { type: 'string', description: 'New specification' },
+        requirements: { type: 'array', items: { type: 'string' }, description: 'New list of requirements (replaces the old one)' },
+        acceptanceCriteria: { type: 'array', items: { type: 'string' }, description: 'New acceptance criteria (replaces the old ones)' },
+        dependsOn: { type: 'array', items: { type: 'string' }, description: 'New dependency task IDs (replaces the old ones; must already exist)' },
+        agentName: { type: 'string', description: 'Name of the agent making the change' }
+      },
+      required: ['taskId']
+    },
+    async handler(args, { taskQueue, logger }) {
+      const { taskId, agentName } = args;
+      const actor = agentName || 'system';
+      
+      const changes = {};
+      EDITABLE_FIELDS.filter(field => args[field] !== undefined).forEach(field => { changes[field] = args[field]; });
+      
+      const task = await taskQueue.updateTask(taskId, changes, { actor });
+      await logChange(logger, 'updated', task, { actor, changes });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Task ${taskId} updated (${Object.keys(changes).join(', ')}); it is now ${task.status}.`,
+          },
+        ],
+        structured: { task: summarizeTask(task), updatedFields: Object.keys(changes) },
+      };
+    },
+  },
+  {
+    name: 'ask_question',
+    description: 'Ask a question about a task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID the question relates to' },
+        question: { type: 'string', description: 'The question being asked' },
+        context: { type: 'object', description: 'Additional context for the question' }
+      },
+      required: ['taskId', 'question']
+    },
+    async handler(args, { taskQueue, logger }) {
+      const { taskId, question, context } = args;
+      
+      const questionEntry = {
+        taskId,
+        question,
+        context: context || {},
+        askedAt: new Date().toISOString(),
+        status: 'unanswered',
+      };
+
+      const questionId = await taskQueue.addQuestion(questionEntry);
+      await logger.logQuestion(questionEntry);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Question about task ${taskId} has been logged.`,
+          },
+        ],
+        structured: { taskId, questionId },
+      };
+    },
+  },
+  {
+    name: 'answer_question',
+    description: 'Answer a previously asked question',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        questionId: { type: 'string', description: 'ID of the question being answered' },
+        answer: { type: 'string', description: 'The answer to the question' }
+      },
+      required: ['questionId', 'answer']
+    },
+    async handler(args, { taskQueue }) {
+      const { questionId, answer } = args;
+      
+      await taskQueue.answerQuestion(questionId, answer);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Answer provided for question ${questionId}.`,
+          },
+        ],
+        structured: { questionId },
+      };
+    },
+  }
+];
@@ -0,0 +1,126 @@
+// Ticket tools: bugs, enhancements, tech debt and implementation plans
+export const tools = [
+  {
+    name: 'create_ticket',
+    description: 'Create a new ticket',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agentName: { type: 'string', description: 'Agent creating the ticket' },
+        type: { type: 'string', enum: ['bug', 'enhancement', 'tech_debt', 'implementation_plan'], description: 'Type of ticket' },
+        data: { type: 'object', description: 'Ticket data' }
+      },
+      required: ['agentName', 'type', 'data']
+    },
+    async handler(args, { logger, ticketManager }) {
+      const { agentName, type, data } = args;
+      
+      const ticketId = await ticketManager.createTicket(type, data, agentName);
+      await logger.appendLog('tickets', {
+        action: 'ticket_created',
+        ticketId,
+        type,
+        createdBy: agentName
+      });
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Created ${type} ticket: ${ticketId}`,
+          },
+        ],
+        structured: { ticketId, type },
+      };
+    },
+  },
+  {
+    name: 'update_ticket',
+    description: 'Update an existing ticket',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ticketId: { type: 'string', description: 'ID of ticket to update' },
+        updates: { type: 'object', description: 'Updates to apply' },
+        agentName: { type: 'string', description: 'Agent making the update' }
+      },
+      required: ['ticketId', 'updates', 'agentName']
+    },
+    async handler(args, { ticketManager }) {
+      const { ticketId, updates, agentName } = args;
+      
+      const ticket = await ticketManager.updateTicket(ticketId, updates, agentName);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Updated ticket ${ticketId}. Current status: ${ticket.status}`,
+          },
+        ],
+        structured: { ticket },
+      };
+    },
+  },
+  {
+    name: 'list_tickets',
+    description: 'List tickets with optional filtering',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', description: 'Filter by status' },
+        type: { type: 'string', description: 'Filter by type' },
+        priority: { type: 'string', description: 'Filter by priority' }
+      }
+    },
+    async handler(args, { ticketManager }) {
+      const { status, type, priority } = args || {};
+      
+      let tickets;
+      if (status) {
+        tickets = await ticketManager.getTicketsByStatus(status, type);
+      } else if (priority) {
+        tickets = await ticketManager.getTicketsByPriority(priority, type);
+      } else {
+        tickets = await ticketManager.getAllTickets();
+      }
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(tickets, null, 2),
+          },
+        ],
+        structured: { tickets },
+      };
+    },
+  },
+  {
+    name: 'link_ticket_to_mission',
+    description: 'Link a ticket to the mission that addresses it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ticketId: { type: 'string', description: 'ID of the ticket to link' },
+        missionId: { type: 'string', description: 'ID of the mission' }
+      },
+      required: ['ticketId', 'missionId']
+    },
+    async handler(args, { ticketManager }) {
+      const { ticketId, missionId } = args;
+      
+      await ticketManager.linkToMission(ticketId, missionId);
+      
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Linked ticket ${ticketId} to mission ${missionId}`,
+          },
+        ],
+        structured: { ticketId, missionId },
+      };
+    },
+  }
+];
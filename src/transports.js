@@ -0,0 +1,108 @@
+import http from 'http';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { parseArg } from './cli.js';
+
+export const TRANSPORTS = ['stdio', 'http'];
+export const DEFAULT_HTTP_PORT = 3939;
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+// Precedence for each setting: command-line flag (--transport, --port,
+// --host), then AI_COLLAB_TRANSPORT / AI_COLLAB_PORT / AI_COLLAB_HOST, then
+// `transport` in config/project.json. Defaults to stdio.
+export async function resolveTransportOptions(workspace, { argv = process.argv.slice(2), env = process.env } = {}) {
+  const config = (await workspace.loadConfig('project.json')).transport || {};
+
+  const type = parseArg(argv, 'transport') || env.AI_COLLAB_TRANSPORT || config.type || 'stdio';
+  if (!TRANSPORTS.includes(type)) {
+    throw new Error(`Unknown transport: ${type} (expected one of: ${TRANSPORTS.join(', ')})`);
+  }
+
+  const rawPort = parseArg(argv, 'port') || env.AI_COLLAB_PORT || config.port || DEFAULT_HTTP_PORT;
+  const port = Number(rawPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${rawPort}`);
+  }
+
+  const host = parseArg(argv, 'host') || env.AI_COLLAB_HOST || config.host || DEFAULT_HTTP_HOST;
+
+  return { type, port, host };
+}
+
+export async function startStdioServer(createServer) {
+  const server = createServer();
+  await server.connect(new StdioServerTransport());
+  return server;
+}
+
+// One long-lived process for every agent: each client opens an SSE stream
+// with GET /sse and posts its messages to /messages?sessionId=<id>. Every
+// connection gets its own Server instance over the shared managers.
+export async function startHttpServer(createServer, { port = DEFAULT_HTTP_PORT, host = DEFAULT_HTTP_HOST } = {}) {
+  const sessions = new Map();
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || host}`);
+
+    try {
+      if (req.method === 'GET' && url.pathname === SSE_PATH) {
+        const transport = new SSEServerTransport(MESSAGES_PATH, res);
+        const server = createServer();
+        sessions.set(transport.sessionId, { transport, server });
+        // connect() takes over transport.onclose, so listen on the server
+        const onclose = server.onclose;
+        server.onclose = () => {
+          sessions.delete(transport.sessionId);
+          onclose?.();
+        };
+        await server.connect(transport);
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+        const session = sessions.get(url.searchParams.get('sessionId'));
+        if (!session) {
+          res.writeHead(404).end('Unknown or expired session');
+          return;
+        }
+        await session.transport.handlePostMessage(req, res);
+        return;
+      }
+
+      if (req.method === 'GET' && url.pathname === '/health') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok', sessions: sessions.size }));
+        return;
+      }
+
+      res.writeHead(404).end('Not found');
+    } catch (error) {
+      console.error('[HTTP Error]', error);
+      if (!res.headersSent) {
+        res.writeHead(500).end(error.message);
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  return {
+    httpServer,
+    sessions,
+    url: `http://${host}:${address.port}${SSE_PATH}`,
+    async close() {
+      await Promise.all(Array.from(sessions.values()).map(({ server }) => server.close()));
+      await new Promise(resolve => httpServer.close(resolve));
+    },
+  };
+}
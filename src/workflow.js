@@ -0,0 +1,117 @@
+// Workflow pipelines: the stages a task goes through between its directive
+// and completion, set as `workflow.stages` in config/project.json. A stage is
+// { name, type, role, next, rework, entry, exit }:
+// - type is what happens in it: 'work' (an agent claims the task and submits
+//   it), 'review' (reviewers approve it under the approval policy or send it
+//   back) or 'verification' (QA passes or fails it)
+// - role owns the stage; a work stage without one goes to the task's
+//   required role, developers by default
+// - next is the stage that follows (default: the next one listed; after the
+//   last one the task is completed), rework the work stage a rejected task
+//   goes back to (default: the nearest work stage before it)
+// - entry and exit list STAGE_CONDITIONS the task must meet to enter or
+//   leave the stage
+
+export const STAGE_TYPES = ['work', 'review', 'verification'];
+
+// Status a task has when it enters a stage of each type
+export const STAGE_ENTRY_STATUS = {
+  work: 'available',
+  review: 'in_review',
+  verification: 'in_verification',
+};
+
+export const STAGE_CONDITIONS = [
+  'dependenciesResolved',
+  'subtasksClosed',
+  'threadsResolved',
+  'actionItemsResolved',
+  'filesListed',
+  'testResultsRecorded',
+];
+
+export const DEFAULT_WORKFLOW = {
+  stages: [
+    { name: 'implement', type: 'work' },
+    { name: 'review', type: 'review', role: 'cto' },
+    { name: 'verification', type: 'verification', role: 'qa_engineer' },
+  ],
+};
+
+function checkConditions(stage, key) {
+  const conditions = stage[key] || [];
+  if (!Array.isArray(conditions)) {
+    throw new Error(`Stage ${stage.name}: ${key} must be a list of conditions`);
+  }
+  const unknown = conditions.filter(condition => !STAGE_CONDITIONS.includes(condition));
+  if (unknown.length > 0) {
+    throw new Error(`Stage ${stage.name}: unknown ${key} conditions ${unknown.join(', ')} (expected any of: ${STAGE_CONDITIONS.join(', ')})`);
+  }
+  return conditions;
+}
+
+// Throws on a malformed workflow; knownRoles are the role names from
+// roles.json
+export function normalizeWorkflow(workflow = DEFAULT_WORKFLOW, knownRoles = null) {
+  const stages = workflow?.stages;
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new Error('A workflow needs a list of stages');
+  }
+
+  const names = stages.map(stage => stage?.name);
+  names.forEach((name, index) => {
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`Workflow stage ${index + 1} needs a name`);
+    }
+    if (names.indexOf(name) !== index) {
+      throw new Error(`Workflow stage ${name} appears more than once`);
+    }
+  });
+
+  return {
+    stages: stages.map((stage, index) => {
+      const { name, type, role = null } = stage;
+      if (!STAGE_TYPES.includes(type)) {
+        throw new Error(`Stage ${name}: type must be one of ${STAGE_TYPES.join(', ')} (got ${type})`);
+      }
+      if (index === 0 && type !== 'work') {
+        throw new Error(`Stage ${name}: the first stage must be a work stage`);
+      }
+      if (!role && type !== 'work') {
+        throw new Error(`Stage ${name}: a ${type} stage needs a role`);
+      }
+      if (role && knownRoles && !knownRoles.includes(role)) {
+        throw new Error(`Stage ${name}: unknown role ${role} (expected one of: ${knownRoles.join(', ')})`);
+      }
+
+      // Stages only move forward; going back is what rework is for
+      const next = stage.next || names[index + 1] || null;
+      if (next && names.indexOf(next) <= index) {
+        throw new Error(`Stage ${name}: next must be a later stage (got ${next})`);
+      }
+
+      const earlierWork = stages.slice(0, index).filter(earlier => earlier.type === 'work').map(earlier => earlier.name);
+      let rework = null;
+      if (type !== 'work') {
+        rework = stage.rework || earlierWork[earlierWork.length - 1];
+        if (!earlierWork.includes(rework)) {
+          throw new Error(`Stage ${name}: rework must be an earlier work stage (got ${rework})`);
+        }
+      }
+
+      return {
+        name,
+        type,
+        role,
+        next,
+        rework,
+        entry: checkConditions(stage, 'entry'),
+        exit: checkConditions(stage, 'exit'),
+      };
+    }),
+  };
+}
+
+export function findStage(workflow, name) {
+  return workflow.stages.find(stage => stage.name === name) || null;
+}
@@ -0,0 +1,91 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArg } from './cli.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PACKAGE_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_DIR = path.join(PACKAGE_DIR, 'config');
+
+// Server state kept inside a configured workspace, away from the project's own files
+const STATE_DIR_NAME = '.ai-collab';
+
+export class Workspace {
+  constructor(root = null) {
+    // Without a configured root the server keeps its original layout:
+    // data/, logs/ and config/ next to the package
+    this.isolated = Boolean(root);
+    this.root = root ? path.resolve(root) : process.cwd();
+
+    const stateDir = this.isolated ? path.join(this.root, STATE_DIR_NAME) : PACKAGE_DIR;
+    this.stateDir = stateDir;
+    this.dataDir = path.join(stateDir, 'data');
+    this.logsDir = path.join(stateDir, 'logs');
+    this.configDir = path.join(stateDir, 'config');
+  }
+
+  // Config files in the workspace override the bundled defaults one by one,
+  // so a workspace only needs to carry the files it changes
+  async resolveConfigFile(name) {
+    const workspaceFile = path.join(this.configDir, name);
+    try {
+      await fs.access(workspaceFile);
+      return workspaceFile;
+    } catch {
+      return path.join(DEFAULT_CONFIG_DIR, name);
+    }
+  }
+
+  // Named projects without a path of their own share this workspace's root
+  // and config, but keep their data and logs in separate subdirectories
+  forProject(projectId) {
+    const project = new Workspace(this.isolated ? this.root : null);
+    project.dataDir = path.join(this.dataDir, 'projects', projectId);
+    project.logsDir = path.join(this.logsDir, 'projects', projectId);
+    return project;
+  }
+
+  async loadConfig(name, fallback = {}) {
+    try {
+      const data = await fs.readFile(await this.resolveConfigFile(name), 'utf8');
+      return JSON.parse(data);
+    } catch {
+      return fallback;
+    }
+  }
+}
+
+// Precedence: --workspace flag, AI_COLLAB_WORKSPACE, then projectPath in the
+// bundled config/project.json. Returns null when none is set.
+export async function resolveWorkspaceRoot({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const fromArgs = parseArg(argv, 'workspace');
+  if (fromArgs) {
+    return fromArgs;
+  }
+
+  if (env.AI_COLLAB_WORKSPACE) {
+    return env.AI_COLLAB_WORKSPACE;
+  }
+
+  let projectPath = null;
+  try {
+    const data = await fs.readFile(path.join(DEFAULT_CONFIG_DIR, 'project.json'), 'utf8');
+    projectPath = JSON.parse(data).projectPath || null;
+  } catch {
+    return null;
+  }
+
+  if (projectPath) {
+    try {
+      const stats = await fs.stat(projectPath);
+      if (stats.isDirectory()) {
+        return projectPath;
+      }
+    } catch {
+      // Fall through to the warning below
+    }
+    console.error(`projectPath ${projectPath} in config/project.json is not a directory - using the server's own data directory`);
+  }
+
+  return null;
+}
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProjectRegistry } from '../src/projectRegistry.js';
+import { RoleManager } from '../src/roleManager.js';
+import { Workspace } from '../src/workspace.js';
+
+const git = (root, ...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: root });
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-collab-git-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A git repository on main with one commit, served as an isolated workspace
+// with the given `tasks` settings
+async function createProject(t, tasks) {
+  const root = await tempDir(t);
+  git(root, 'init', '--quiet', '--initial-branch=main');
+  // The server's own merges commit as whoever the repository names
+  git(root, 'config', 'user.name', 'test');
+  git(root, 'config', 'user.email', 'test@example.com');
+  await fs.writeFile(path.join(root, 'app.js'), 'one\n');
+  git(root, 'add', '--all');
+  git(root, 'commit', '--quiet', '-m', 'init');
+
+  const workspace = new Workspace(root);
+  await fs.mkdir(workspace.configDir, { recursive: true });
+  await fs.writeFile(path.join(workspace.configDir, 'project.json'), JSON.stringify({ tasks: { idPrefix: 'KAN', ...tasks } }));
+  const roleManager = new RoleManager(workspace);
+  await roleManager.loadConfigurations();
+  const { taskQueue } = await new ProjectRegistry(workspace, roleManager, 'json').get('default');
+  return { root, taskQueue };
+}
+
+test('diffs captured in an isolated workspace leave out the server state', async (t) => {
+  const { root, taskQueue } = await createProject(t, { captureDiffs: true });
+
+  const taskId = await taskQueue.addDirective({ title: 'Change app', specification: 'x' });
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  await fs.writeFile(path.join(root, 'app.js'), 'one\ntwo\n');
+  await fs.writeFile(path.join(root, 'notes.tmp'), 'scratch\n');
+  await taskQueue.addSubmission({ taskId, summary: 'first', submittedBy: 'dev' });
+
+  // A second capture must not pick up the first one stored in tasks.json
+  await taskQueue.updateTaskStatus(taskId, 'needs_revision');
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  await taskQueue.addSubmission({ taskId, summary: 'second', submittedBy: 'dev' });
+
+  const diff = await taskQueue.getDiff(taskId);
+  assert.equal(diff.error, undefined);
+  // The project's own temp files are part of its work; only .ai-collab is left out
+  assert.deepEqual(diff.files.map(file => file.path), ['app.js', 'notes.tmp']);
+  assert.doesNotMatch(diff.patch, /\.ai-collab/);
+});
+
+test('the diff of a task with a branch comes from that branch, not from what is checked out', async (t) => {
+  const { root, taskQueue } = await createProject(t, { captureDiffs: true, branches: true });
+  const taskId = await taskQueue.addDirective({ title: 'Change app', specification: 'x' });
+  const { branch } = await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  assert.equal(branch, 'task/KAN-001');
+
+  // The developer works in a worktree of their own while main stays checked
+  // out, with unrelated changes, in the project directory
+  const worktree = path.join(await tempDir(t), 'work');
+  git(root, 'worktree', 'add', '--quiet', worktree, branch);
+  await fs.writeFile(path.join(worktree, 'app.js'), 'one\ntwo\n');
+  git(worktree, 'commit', '--quiet', '-am', 'two');
+  await fs.writeFile(path.join(worktree, 'wip.js'), 'draft\n');
+  await fs.writeFile(path.join(root, 'other.js'), 'unrelated\n');
+
+  await taskQueue.addSubmission({ taskId, summary: 'first', submittedBy: 'dev' });
+  let diff = await taskQueue.getDiff(taskId);
+  assert.equal(diff.error, undefined);
+  assert.deepEqual(diff.files.map(file => file.path), ['app.js', 'wip.js']);
+
+  // With the branch checked out nowhere, only its commits count
+  git(root, 'worktree', 'remove', '--force', worktree);
+  await taskQueue.updateTaskStatus(taskId, 'needs_revision');
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  await taskQueue.addSubmission({ taskId, summary: 'second', submittedBy: 'dev' });
+  diff = await taskQueue.getDiff(taskId);
+  assert.deepEqual(diff.files.map(file => file.path), ['app.js']);
+  assert.match(diff.patch, /\+two/);
+});
+
+// Claims a new task on a project with task branches and commits `files` to
+// its branch from a worktree of its own
+async function commitTaskWork(t, root, taskQueue, files) {
+  const taskId = await taskQueue.addDirective({ title: 'Change app', specification: 'x' });
+  const { branch } = await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  const worktree = path.join(await tempDir(t), 'work');
+  git(root, 'worktree', 'add', '--quiet', worktree, branch);
+  for (const [file, content] of Object.entries(files)) {
+    await fs.writeFile(path.join(worktree, file), content);
+  }
+  git(worktree, 'add', '--all');
+  git(worktree, 'commit', '--quiet', '-m', 'work');
+  await taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'dev' });
+  return taskId;
+}
+
+test('a branch that conflicts with the integration branch goes back to its developer', async (t) => {
+  const { root, taskQueue } = await createProject(t, { branches: { integrationBranch: 'main' } });
+  const taskId = await commitTaskWork(t, root, taskQueue, { 'app.js': 'one\nfrom the task\n' });
+  await fs.writeFile(path.join(root, 'app.js'), 'one\nfrom main\n');
+  git(root, 'commit', '--quiet', '-am', 'main moves on');
+  const main = git(root, 'rev-parse', 'main').toString().trim();
+
+  const { status, merge } = await taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'cto', reviewerRole: 'cto' });
+  assert.equal(status, 'needs_revision');
+  assert.equal(merge.reason, 'conflicts');
+  assert.deepEqual(merge.conflicts, ['app.js']);
+  assert.deepEqual((await taskQueue.getTask(taskId)).actionItems.map(item => item.text), ['Resolve merge conflicts with main in app.js']);
+
+  // The merge was aborted and main left as it was
+  assert.equal(git(root, 'rev-parse', 'main').toString().trim(), main);
+  assert.equal(git(root, 'status', '--porcelain', '--untracked-files=no').toString(), '');
+});
+
+test('a merge blocked by the repository keeps the task approved until it is retried', async (t) => {
+  const { root, taskQueue } = await createProject(t, { branches: { integrationBranch: 'main' } });
+  const taskId = await commitTaskWork(t, root, taskQueue, { 'feature.js': 'new\n' });
+  await fs.writeFile(path.join(root, 'app.js'), 'one\nnot committed\n');
+
+  const updates = [];
+  taskQueue.on('taskUpdated', ({ taskId }) => updates.push(taskId));
+  const { status, merge } = await taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'cto', reviewerRole: 'cto' });
+  assert.equal(status, 'in_review');
+  assert.equal(merge.reason, 'failed');
+  assert.match(merge.error, /main is checked out in .* with uncommitted changes/);
+  assert.deepEqual(updates, [taskId]);
+
+  const task = await taskQueue.getTask(taskId);
+  assert.equal(task.actionItems, undefined);
+  const [review] = (await taskQueue.getPendingTasks('cto')).filter(pending => pending.type === 'review');
+  assert.equal(review.failedMerge.error, merge.error);
+
+  // Retrying before the repository is fixed fails the same way
+  assert.equal((await taskQueue.retryMerge(taskId, 'cto')).status, 'in_review');
+
+  git(root, 'checkout', '--', 'app.js');
+  const retried = await taskQueue.retryMerge(taskId, 'cto');
+  assert.equal(retried.merge.merged, true);
+  assert.equal(retried.status, 'completed');
+  assert.equal(git(root, 'show', 'main:feature.js').toString(), 'new\n');
+  await assert.rejects(taskQueue.retryMerge(taskId, 'cto'), /KAN-001 has no failed merge to retry/);
+});
+
+test('a task branch records the commit it starts from, whatever is checked out', async (t) => {
+  const { root, taskQueue } = await createProject(t, { captureDiffs: true, branches: { integrationBranch: 'main' } });
+  const main = git(root, 'rev-parse', 'main').toString().trim();
+  git(root, 'checkout', '--quiet', '-b', 'experiment');
+  await fs.writeFile(path.join(root, 'experiment.js'), 'try\n');
+  git(root, 'add', '--all');
+  git(root, 'commit', '--quiet', '-m', 'experiment');
+
+  const taskId = await commitTaskWork(t, root, taskQueue, { 'feature.js': 'new\n' });
+  const task = await taskQueue.getTask(taskId);
+  assert.equal(task.baseCommit, main);
+  assert.deepEqual((await taskQueue.getDiff(taskId)).files.map(file => file.path), ['feature.js']);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { MissionManager } from '../src/missionManager.js';
+import { createStorage } from '../src/storage/index.js';
+import { TaskQueue } from '../src/taskQueue.js';
+
+async function createManagers(t) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-collab-test-'));
+  t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+  const storage = await createStorage({ driver: 'json', dataDir });
+  const taskQueue = new TaskQueue(storage, { idPrefix: 'KAN' });
+  const missionManager = new MissionManager(taskQueue, null, storage);
+  const missionId = await missionManager.createMission({ title: 'Accounts', objective: 'x', autoDecompose: false });
+  return { taskQueue, missionManager, missionId };
+}
+
+test('mission progress lists the tasks left waiting on a cancelled dependency', async (t) => {
+  const { taskQueue, missionManager, missionId } = await createManagers(t);
+  const schema = await taskQueue.addDirective({ title: 'Schema', specification: 'x', missionId });
+  const api = await taskQueue.addDirective({ title: 'API', specification: 'x', missionId, dependsOn: [schema] });
+  for (const taskId of [schema, api]) {
+    await missionManager.addTaskToMission(missionId, taskId);
+  }
+
+  await taskQueue.cancelTask(schema, { reason: 'out of scope' });
+  const { progress } = await missionManager.checkMissionProgress(missionId);
+  assert.equal(progress.blockedTasks, 1);
+  assert.deepEqual(progress.waitingOnCancelled, [{ taskId: api, cancelledDependencies: [schema] }]);
+});
+
+test('cancelled tasks count neither as done nor as work left in mission progress', async (t) => {
+  const { taskQueue, missionManager, missionId } = await createManagers(t);
+  const [done, dropped] = [
+    await taskQueue.addDirective({ title: 'Schema', specification: 'x', missionId }),
+    await taskQueue.addDirective({ title: 'Legacy import', specification: 'x', missionId }),
+  ];
+  for (const taskId of [done, dropped]) {
+    await missionManager.addTaskToMission(missionId, taskId);
+  }
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, done);
+  await taskQueue.addSubmission({ taskId: done, summary: 'done', submittedBy: 'dev' });
+  await taskQueue.addReview({ taskId: done, status: 'approved', reviewedBy: 'cto', reviewerRole: 'cto' });
+  await taskQueue.cancelTask(dropped, { reason: 'out of scope' });
+
+  const { progress } = await missionManager.checkMissionProgress(missionId);
+  assert.equal(progress.totalTasks, 1);
+  assert.equal(progress.completedTasks, 1);
+  assert.equal(progress.cancelledTasks, 1);
+  assert.equal(progress.percentComplete, 100);
+  // With every counted task done, the acceptance criteria are up for evaluation
+  assert.equal(progress.acceptanceCriteriaStatus.requiresEvaluation, true);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile, spawnSync } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { createStorage, withFileLock } from '../src/storage/index.js';
+
+const execFileAsync = promisify(execFile);
+const STORAGE_MODULE = fileURLToPath(new URL('../src/storage/index.js', import.meta.url));
+
+async function tempDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-collab-storage-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function openStorage(t, driver, dataDir) {
+  const storage = await createStorage({ driver, dataDir });
+  t.after(() => storage.close());
+  return storage;
+}
+
+// Runs `count` increments of the task-sequence counter in another process
+function incrementInChild(driver, dataDir, count) {
+  const script = `
+    const { createStorage } = await import(${JSON.stringify(STORAGE_MODULE)});
+    const storage = await createStorage({ driver: ${JSON.stringify(driver)}, dataDir: ${JSON.stringify(dataDir)} });
+    const store = storage.open('task-sequence', () => ({}));
+    for (let i = 0; i < ${count}; i++) {
+      await store.transaction(async (sequence) => { sequence.count = (sequence.count || 0) + 1; });
+    }
+    await storage.close();
+  `;
+  return execFileAsync(process.execPath, ['--input-type=module', '-e', script]);
+}
+
+// The pid of a process that has already exited
+function deadPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+for (const driver of ['json', 'sqlite']) {
+  test(`${driver}: concurrent transactions in one process never lose an update`, async (t) => {
+    const storage = await openStorage(t, driver, await tempDir(t));
+    const store = storage.open('task-sequence', () => ({}));
+
+    await Promise.all(Array.from({ length: 25 }, () => store.transaction(async (sequence) => {
+      const count = sequence.count || 0;
+      await new Promise(resolve => setImmediate(resolve));
+      sequence.count = count + 1;
+    })));
+
+    assert.equal((await store.read()).count, 25);
+  });
+
+  test(`${driver}: transactions from several processes are serialized by the lock file`, async (t) => {
+    const dataDir = await tempDir(t);
+    const storage = await openStorage(t, driver, dataDir);
+    const store = storage.open('task-sequence', () => ({}));
+
+    await Promise.all([
+      incrementInChild(driver, dataDir, 15),
+      incrementInChild(driver, dataDir, 15),
+      ...Array.from({ length: 15 }, () => store.transaction(async (sequence) => {
+        sequence.count = (sequence.count || 0) + 1;
+      })),
+    ]);
+
+    assert.equal((await store.read()).count, 45);
+  });
+
+  test(`${driver}: a throwing mutator writes nothing`, async (t) => {
+    const storage = await openStorage(t, driver, await tempDir(t));
+    const store = storage.open('tasks', () => ({}));
+    await store.transaction(async (tasks) => { tasks['KAN-001'] = { taskId: 'KAN-001', status: 'available' }; });
+
+    await assert.rejects(store.transaction(async (tasks) => {
+      tasks['KAN-001'].status = 'completed';
+      throw new Error('rejected');
+    }), /rejected/);
+
+    assert.equal((await store.read())['KAN-001'].status, 'available');
+    assert.deepEqual((await store.find({ status: 'available' })).map(task => task.taskId), ['KAN-001']);
+  });
+}
+
+test('a lock left by a process that has exited is broken right away', async (t) => {
+  const file = path.join(await tempDir(t), 'tasks.json');
+  await fs.writeFile(`${file}.lock`, JSON.stringify({ pid: deadPid(), token: 'gone' }));
+
+  const started = Date.now();
+  assert.equal(await withFileLock(file, async () => 'done'), 'done');
+  assert.ok(Date.now() - started < 2000);
+  await assert.rejects(fs.access(`${file}.lock`));
+});
+
+test('a lock file never written by its owner is broken once it is old', async (t) => {
+  const file = path.join(await tempDir(t), 'tasks.json');
+  await fs.writeFile(`${file}.lock`, '');
+  const old = new Date(Date.now() - 60000);
+  await fs.utimes(`${file}.lock`, old, old);
+
+  assert.equal(await withFileLock(file, async () => 'done'), 'done');
+});
+
+test('a lock held by a live process is waited for, not broken', async (t) => {
+  const file = path.join(await tempDir(t), 'tasks.json');
+  await fs.writeFile(`${file}.lock`, JSON.stringify({ pid: process.pid, token: 'other-holder' }));
+
+  let acquired = false;
+  const pending = withFileLock(file, async () => { acquired = true; });
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.equal(acquired, false);
+  assert.equal(JSON.parse(await fs.readFile(`${file}.lock`, 'utf8')).token, 'other-holder');
+
+  await fs.rm(`${file}.lock`);
+  await pending;
+  assert.equal(acquired, true);
+});
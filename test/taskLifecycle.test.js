@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TERMINAL_STATUSES, canTransition, transitionTask } from '../src/taskLifecycle.js';
+
+test('allowed moves change the status and append a history entry', () => {
+  const task = { taskId: 'KAN-001', status: 'available' };
+  const at = new Date('2026-01-01T00:00:00Z');
+
+  assert.equal(transitionTask(task, 'in_progress', { actor: 'dev', reason: 'claimed', at }), true);
+  assert.equal(transitionTask(task, 'in_review', { actor: 'dev', reason: 'submitted', at }), true);
+
+  assert.equal(task.status, 'in_review');
+  assert.deepEqual(task.history, [
+    { from: 'available', to: 'in_progress', actor: 'dev', reason: 'claimed', at: at.toISOString() },
+    { from: 'in_progress', to: 'in_review', actor: 'dev', reason: 'submitted', at: at.toISOString() },
+  ]);
+});
+
+test('a task without a status starts from pending', () => {
+  const task = { taskId: 'KAN-001' };
+  transitionTask(task, 'available');
+  assert.deepEqual(task.history.map(({ from, to, actor, reason }) => ({ from, to, actor, reason })), [
+    { from: 'pending', to: 'available', actor: 'system', reason: null },
+  ]);
+});
+
+test('moving to the current status is a no-op', () => {
+  const task = { taskId: 'KAN-001', status: 'in_progress', history: [] };
+  assert.equal(transitionTask(task, 'in_progress'), false);
+  assert.deepEqual(task.history, []);
+});
+
+test('rejected moves throw and leave the task untouched', () => {
+  const task = { taskId: 'KAN-001', status: 'available', history: [] };
+  assert.throws(() => transitionTask(task, 'completed'), /Task KAN-001 cannot move from available to completed \(allowed: blocked, in_progress, cancelled, on_hold\)/);
+  assert.equal(task.status, 'available');
+  assert.deepEqual(task.history, []);
+
+  assert.equal(canTransition('needs_revision', 'in_review'), false);
+  assert.equal(canTransition('unknown', 'available'), false);
+  assert.throws(() => transitionTask({ taskId: 'KAN-002', status: 'unknown' }, 'available'), /allowed: none/);
+});
+
+test('completed and cancelled tasks never move again', () => {
+  assert.deepEqual(TERMINAL_STATUSES, ['completed', 'cancelled']);
+  for (const status of TERMINAL_STATUSES) {
+    assert.throws(() => transitionTask({ taskId: 'KAN-001', status }, 'available'), /allowed: none/);
+  }
+});
+
+test('a held task can resume into any active status', () => {
+  for (const status of ['available', 'in_progress', 'in_review', 'in_verification', 'needs_revision']) {
+    const task = { taskId: 'KAN-001', status: 'on_hold' };
+    assert.equal(transitionTask(task, status), true);
+  }
+  assert.equal(canTransition('on_hold', 'completed'), false);
+});
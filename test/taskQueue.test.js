@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorage } from '../src/storage/index.js';
+import { TaskQueue } from '../src/taskQueue.js';
+
+async function createQueue(t, options = {}) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-collab-test-'));
+  t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+  return new TaskQueue(await createStorage({ driver: 'json', dataDir }), { idPrefix: 'KAN', ...options });
+}
+
+// A task that passed review and waits for QA
+async function taskInVerification(taskQueue) {
+  const taskId = await taskQueue.addDirective({ title: 'Login form', specification: 'x' });
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  await taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'dev' });
+  await taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'cto', reviewerRole: 'cto' });
+  return taskId;
+}
+
+test('cancelling a dependency keeps its dependents blocked until it is dropped', async (t) => {
+  const taskQueue = await createQueue(t);
+  const first = await taskQueue.addDirective({ title: 'Schema', specification: 'x' });
+  const second = await taskQueue.addDirective({ title: 'API', specification: 'x', dependsOn: [first] });
+  assert.equal((await taskQueue.getTask(second)).status, 'blocked');
+
+  const cancelled = await taskQueue.cancelTask(first, { reason: 'out of scope' });
+  assert.deepEqual(cancelled.waitingDependents, [second]);
+  assert.equal((await taskQueue.getTask(second)).status, 'blocked');
+
+  await taskQueue.updateTask(second, { dependsOn: [] });
+  assert.equal((await taskQueue.getTask(second)).status, 'available');
+});
+
+test('only the holder of a live lease can submit the task', async (t) => {
+  const taskQueue = await createQueue(t);
+  const taskId = await taskQueue.addDirective({ title: 'Schema', specification: 'x' });
+  await taskQueue.claimTask({ name: 'Dev', role: 'developer' }, taskId);
+
+  await assert.rejects(taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'other' }), /other does not hold a lease on task KAN-001/);
+  assert.equal((await taskQueue.getTask(taskId)).submissions.length, 0);
+
+  const result = await taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'Dev' });
+  assert.equal(result.status, 'in_review');
+});
+
+test('a review without a reviewer is rejected when the policy needs several approvers', async (t) => {
+  const taskQueue = await createQueue(t);
+  const taskId = await taskQueue.addDirective({ title: 'Schema', specification: 'x', approvalPolicy: { approvals: 2, roles: [], anyCanBlock: true } });
+  await taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'dev' });
+
+  await assert.rejects(taskQueue.addReview({ taskId, status: 'approved' }), /KAN-001 needs 2 approval\(s\); name the reviewer/);
+  await taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'cto' });
+  const { status, approval } = await taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'lead' });
+  assert.equal(status, 'completed');
+  assert.deepEqual(approval.approvedBy.map(reviewer => reviewer.reviewer), ['cto', 'lead']);
+});
+
+test('taskCompleted fires once, after the completing change is written', async (t) => {
+  const taskQueue = await createQueue(t);
+  const taskId = await taskQueue.addDirective({ title: 'Schema', specification: 'x' });
+  await taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'dev' });
+
+  const completed = [];
+  taskQueue.on('taskCompleted', ({ taskId }) => completed.push(taskId));
+  const written = new Promise(resolve => taskQueue.once('taskCompleted', ({ taskId }) => resolve(taskQueue.getTask(taskId))));
+  await taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'cto' });
+
+  assert.equal((await written).status, 'completed');
+  assert.deepEqual(completed, [taskId]);
+  await assert.rejects(taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'cto' }), /is completed/);
+  assert.deepEqual(completed, [taskId]);
+});
+
+test('a passed verification completes the task without filing a bug', async (t) => {
+  const taskQueue = await createQueue(t, { requireVerification: true });
+  const taskId = await taskInVerification(taskQueue);
+  assert.equal((await taskQueue.getTask(taskId)).status, 'in_verification');
+
+  let filed = 0;
+  const verification = await taskQueue.verifyTask(taskId, { verifiedBy: 'qa', passed: true, evidence: 'all green', fileBug: async () => `BUG-${++filed}` });
+  assert.equal(filed, 0);
+  assert.equal(verification.ticketId, null);
+  assert.equal(verification.evidence, 'all green');
+
+  const task = await taskQueue.getTask(taskId);
+  assert.equal(task.status, 'completed');
+  assert.deepEqual(task.verifications.map(({ stage, submission, verifiedBy, passed }) => ({ stage, submission, verifiedBy, passed })), [
+    { stage: 'verification', submission: 1, verifiedBy: 'qa', passed: true },
+  ]);
+});
+
+test('a failed verification files the bug and sends the task back for rework', async (t) => {
+  const taskQueue = await createQueue(t, { requireVerification: true });
+  const taskId = await taskInVerification(taskQueue);
+
+  const verification = await taskQueue.verifyTask(taskId, {
+    verifiedBy: 'qa',
+    passed: false,
+    evidence: 'submit does nothing',
+    bugTitle: 'Submit button is dead',
+    fileBug: async () => 'BUG-1',
+  });
+  assert.equal(verification.ticketId, 'BUG-1');
+
+  const task = await taskQueue.getTask(taskId);
+  assert.equal(task.status, 'needs_revision');
+  assert.equal(task.stage, 'implement');
+  assert.equal(task.assignee, 'dev');
+  assert.deepEqual(task.actionItems.map(({ text, status }) => ({ text, status })), [{ text: 'Fix BUG-1: Submit button is dead', status: 'open' }]);
+  assert.equal(task.verifications[0].ticketId, 'BUG-1');
+
+  // The developer takes it back and the fix goes through review and QA again
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  await taskQueue.addSubmission({ taskId, summary: 'fixed', submittedBy: 'dev', resolvedActionItems: [task.actionItems[0].itemId] });
+  assert.equal((await taskQueue.getTask(taskId)).status, 'in_review');
+});
+
+test('a failure without a bug ticket still leaves an action item', async (t) => {
+  const taskQueue = await createQueue(t, { requireVerification: true });
+  const taskId = await taskInVerification(taskQueue);
+
+  await taskQueue.verifyTask(taskId, { verifiedBy: 'qa', passed: false, bugTitle: 'Layout breaks on mobile' });
+  assert.deepEqual((await taskQueue.getTask(taskId)).actionItems.map(item => item.text), ['Fix verification failure: Layout breaks on mobile']);
+});
+
+test('no bug is filed when the failed verification is rejected', async (t) => {
+  const taskQueue = await createQueue(t, { requireVerification: true });
+  const taskId = await taskQueue.addDirective({ title: 'Login form', specification: 'x' });
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  await taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'dev' });
+
+  let filed = 0;
+  const fileBug = async () => `BUG-${++filed}`;
+  await assert.rejects(taskQueue.verifyTask(taskId, { verifiedBy: 'qa', passed: false, fileBug }),
+    /Task KAN-001 is in_review; only tasks in a verification stage \(in_verification\) can be verified/);
+  await assert.rejects(taskQueue.verifyTask('KAN-404', { verifiedBy: 'qa', passed: false, fileBug }), /Task KAN-404 not found/);
+  assert.equal(filed, 0);
+
+  const task = await taskQueue.getTask(taskId);
+  assert.equal(task.status, 'in_review');
+  assert.equal(task.verifications, undefined);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorage } from '../src/storage/index.js';
+import { TaskQueue } from '../src/taskQueue.js';
+import { DEFAULT_WORKFLOW, normalizeWorkflow } from '../src/workflow.js';
+
+async function createQueue(t, workflow) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ai-collab-test-'));
+  t.after(() => fs.rm(dataDir, { recursive: true, force: true }));
+  return new TaskQueue(await createStorage({ driver: 'json', dataDir }), {
+    idPrefix: 'KAN',
+    requireVerification: true,
+    workflow: normalizeWorkflow(workflow),
+  });
+}
+
+const PIPELINE = {
+  stages: [
+    { name: 'implement', type: 'work' },
+    { name: 'review', type: 'review', role: 'cto', entry: ['testResultsRecorded'], exit: ['threadsResolved'] },
+    { name: 'document', type: 'work', role: 'writer' },
+    { name: 'verification', type: 'verification', role: 'qa_engineer', rework: 'implement' },
+  ],
+};
+
+test('stages default to the next one listed and rework in the nearest work stage before them', () => {
+  assert.deepEqual(normalizeWorkflow(DEFAULT_WORKFLOW).stages.map(({ name, next, rework }) => ({ name, next, rework })), [
+    { name: 'implement', next: 'review', rework: null },
+    { name: 'review', next: 'verification', rework: 'implement' },
+    { name: 'verification', next: null, rework: 'implement' },
+  ]);
+  assert.equal(normalizeWorkflow({ stages: [{ name: 'a', type: 'work' }, { name: 'b', type: 'work' }, { name: 'c', type: 'review', role: 'cto' }] }).stages[2].rework, 'b');
+});
+
+test('malformed workflows are rejected', () => {
+  const work = { name: 'implement', type: 'work' };
+  const cases = [
+    [{}, /needs a list of stages/],
+    [{ stages: [] }, /needs a list of stages/],
+    [{ stages: [work, { type: 'review', role: 'cto' }] }, /Workflow stage 2 needs a name/],
+    [{ stages: [work, work] }, /implement appears more than once/],
+    [{ stages: [work, { name: 'test', type: 'qa', role: 'qa_engineer' }] }, /Stage test: type must be one of work, review, verification \(got qa\)/],
+    [{ stages: [{ name: 'review', type: 'review', role: 'cto' }] }, /the first stage must be a work stage/],
+    [{ stages: [work, { name: 'review', type: 'review' }] }, /a review stage needs a role/],
+    [{ stages: [{ ...work, next: 'implement' }, { name: 'review', type: 'review', role: 'cto' }] }, /next must be a later stage \(got implement\)/],
+    [{ stages: [work, { name: 'review', type: 'review', role: 'cto', next: 'missing' }] }, /next must be a later stage \(got missing\)/],
+    [{ stages: [work, { name: 'review', type: 'review', role: 'cto', rework: 'review' }] }, /rework must be an earlier work stage \(got review\)/],
+    [{ stages: [{ ...work, entry: 'filesListed' }] }, /entry must be a list of conditions/],
+    [{ stages: [{ ...work, exit: ['filesListed', 'signedOff'] }] }, /unknown exit conditions signedOff/],
+  ];
+  for (const [workflow, message] of cases) {
+    assert.throws(() => normalizeWorkflow(workflow), message);
+  }
+  assert.throws(() => normalizeWorkflow(PIPELINE, ['developer', 'cto']), /Stage document: unknown role writer/);
+});
+
+test('a task runs through every stage and failed verification goes back to the configured rework stage', async (t) => {
+  const taskQueue = await createQueue(t, PIPELINE);
+  const taskId = await taskQueue.addDirective({ title: 'Login', specification: 'x' });
+  const submit = (submittedBy) => taskQueue.addSubmission({ taskId, summary: 'done', submittedBy, testResults: { unit: 'pass' } });
+
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  assert.deepEqual(await submit('dev'), { status: 'in_review', stage: 'review' });
+  const reviewed = await taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'cto', reviewerRole: 'cto' });
+  assert.equal(reviewed.status, 'available');
+  assert.equal(reviewed.stage, 'document');
+
+  // The later work stage belongs to its own role and starts unassigned
+  await assert.rejects(taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId), /requires the writer role/);
+  await taskQueue.claimTask({ name: 'writer', role: 'writer' }, taskId);
+  assert.deepEqual(await submit('writer'), { status: 'in_verification', stage: 'verification' });
+
+  await taskQueue.verifyTask(taskId, { verifiedBy: 'qa', passed: false });
+  const task = await taskQueue.getTask(taskId);
+  assert.equal(task.status, 'needs_revision');
+  assert.equal(task.stage, 'implement');
+  assert.equal(task.assignee, 'dev');
+  assert.deepEqual(task.history.slice(-1).map(({ from, to, actor, reason, stage }) => ({ from, to, actor, reason, stage })), [
+    { from: 'in_verification', to: 'needs_revision', actor: 'qa', reason: 'verification_failed', stage: 'implement' },
+  ]);
+});
+
+test('a review that asks for changes sends the task back to its rework stage', async (t) => {
+  const taskQueue = await createQueue(t, PIPELINE);
+  const taskId = await taskQueue.addDirective({ title: 'Login', specification: 'x' });
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+  await taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'dev', testResults: { unit: 'pass' } });
+
+  const reviewed = await taskQueue.addReview({ taskId, status: 'needs_revision', reviewedBy: 'cto', reviewerRole: 'cto', actionItems: ['Add tests'] });
+  assert.equal(reviewed.status, 'needs_revision');
+  assert.equal(reviewed.stage, 'implement');
+  assert.deepEqual((await taskQueue.getTask(taskId)).actionItems.map(item => item.text), ['Add tests']);
+});
+
+test('entry and exit conditions hold a task in its stage', async (t) => {
+  const taskQueue = await createQueue(t, PIPELINE);
+  const taskId = await taskQueue.addDirective({ title: 'Login', specification: 'x' });
+  await taskQueue.claimTask({ name: 'dev', role: 'developer' }, taskId);
+
+  // The review stage's entry condition rejects a submission without test results
+  await assert.rejects(taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'dev' }),
+    /Task KAN-001 cannot enter the review stage: the latest submission has no test results/);
+  let task = await taskQueue.getTask(taskId);
+  assert.equal(task.status, 'in_progress');
+  assert.equal(task.submissions.length, 0);
+
+  await taskQueue.addSubmission({ taskId, summary: 'done', submittedBy: 'dev', files: { 'login.js': 'x' }, testResults: { unit: 'pass' } });
+  const [thread] = await taskQueue.addReviewComments(taskId, [{ file: 'login.js', line: 3, body: 'Typo' }], { author: 'cto' });
+
+  // Its exit condition keeps an approved task in review while a thread is open
+  await assert.rejects(taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'cto', reviewerRole: 'cto' }),
+    /Task KAN-001 cannot leave the review stage: unresolved review comments/);
+  task = await taskQueue.getTask(taskId);
+  assert.equal(task.status, 'in_review');
+  assert.equal(task.reviews.length, 0);
+
+  await taskQueue.updateThread(taskId, thread.commentId, { author: 'dev', status: 'resolved' });
+  const reviewed = await taskQueue.addReview({ taskId, status: 'approved', reviewedBy: 'cto', reviewerRole: 'cto' });
+  assert.equal(reviewed.stage, 'document');
+});